@@ -305,8 +305,9 @@ async function handleFetchResponse(response) {
 
     // Check content type
     const contentType = response.headers.get('content-type');
-    if (!contentType || (!contentType.includes('application/json') && contentType.split(';')[0].trim() !== 'text/csv')) {
-        debugLog('Response is not JSON or CSV, session likely expired');
+    const mimeType = contentType ? contentType.split(';')[0].trim() : '';
+    if (!contentType || (!contentType.includes('application/json') && mimeType !== 'text/csv' && mimeType !== 'text/plain')) {
+        debugLog('Response is not JSON, CSV or plain text, session likely expired');
         window.location.href = joinPath('login');
         return null;
     }
@@ -314,11 +315,26 @@ async function handleFetchResponse(response) {
     return response;
 }
 
+// A 409 means the transaction changed on another device since it was loaded
+async function handleConflictResponse(response) {
+    if (response.status !== 409) return false;
+
+    const data = await response.json().catch(() => ({}));
+    debugLog('Conflict response:', data);
+    toastManager.show(data.error || 'This transaction was changed elsewhere. Reloading.', 'error', false, 4000);
+    await loadTransactions();
+    await updateTotals();
+    return true;
+}
+
 // Add currentFilter variable at the top with other shared variables
 let currentFilter = null; // null = show all, 'income' = only income, 'expense' = only expenses
 
 // Add at the top with other variables
 let editingTransactionId = null;
+let editingTransactionRevision = null;
+let editingOccurrenceDate = null; // set when editing a single occurrence of a recurring series
+let editingSplitDate = null; // set when editing a recurring series from one occurrence onwards
 
 // Add at the top with other shared variables
 let currentSortField = 'date';
@@ -358,14 +374,15 @@ async function loadTransactions() {
             const isRecurring = transaction.isRecurringInstance || transaction.recurring;
             
             return `
-            <div class="transaction-item ${isRecurring ? 'recurring-instance' : ''}" data-id="${transaction.id}" data-type="${transaction.type}">
+            <div class="transaction-item ${isRecurring ? 'recurring-instance' : ''}" data-id="${escapeHtml(transaction.id)}" data-type="${escapeHtml(transaction.type)}">
                 <div class="transaction-content">
                     <div class="details">
-                        <div class="title">${transaction.title}</div>
+                        <div class="title">${escapeHtml(transaction.title)}</div>
                         <div class="metadata">
-                            ${transaction.category ? `<span class="category">${transaction.category}</span>` : ''}
+                            ${transaction.category ? `<span class="category">${escapeHtml(categoryLabel(transaction.category, transaction.type))}</span>` : ''}
                             <span class="date">${formattedDate}</span>
-                            ${isRecurring ? `<span class="recurring-info">(Recurring)</span>` : ''}
+                            ${isRecurring ? `<span class="recurring-info">(${transaction.isException ? 'Recurring, edited' : 'Recurring'})</span>` : ''}
+                            ${transaction.status === 'pending' ? '<span class="pending-info">(Pending)</span>' : ''}
                         </div>
                     </div>
                     <div class="transaction-amount ${transaction.type}">
@@ -389,19 +406,31 @@ async function loadTransactions() {
             const isRecurring = item.classList.contains('recurring-instance');
 
             // Edit handler for all transactions
-            content.addEventListener('click', () => {
+            content.addEventListener('click', async () => {
                 const id = item.dataset.id;
                 const type = item.dataset.type;
                 const isRecurring = item.classList.contains('recurring-instance');
-                
-                // For recurring instances, get the parent transaction
-                let transaction = filteredTransactions.find(t => t.id === id);
+                const instance = filteredTransactions.find(t => t.id === id);
+
                 if (isRecurring) {
-                    const parentId = id.match(/^[^-]+-[^-]+-[^-]+-[^-]+-[^-]+/)[0];
-                    transaction = filteredTransactions.find(t => t.id === parentId) || transaction;
+                    const scope = await chooseRecurringScope('Edit recurring transaction', [
+                        { value: 'occurrence', label: 'This occurrence only' },
+                        { value: 'following', label: 'This and following' },
+                        { value: 'series', label: 'Entire series' }
+                    ]);
+                    if (!scope) return;
+                    if (scope === 'occurrence') {
+                        editOccurrence(instance);
+                        return;
+                    }
+                    if (scope === 'following') {
+                        editFollowing(instance);
+                        return;
+                    }
                 }
                 
-                editTransaction(id, transaction, isRecurring);
+                // Recurring instances carry their series' start date and amount in recurring
+                editTransaction(id, instance, isRecurring);
             });
 
             // Delete handler
@@ -410,20 +439,35 @@ async function loadTransactions() {
                 const id = item.dataset.id;
                 const isRecurring = item.classList.contains('recurring-instance');
                 
-                // For recurring instances, get the parent ID (the UUID part before the timestamp)
-                const transactionId = isRecurring ? id.match(/^[^-]+-[^-]+-[^-]+-[^-]+-[^-]+/)[0] : id;
-                
-                const message = isRecurring ? 
-                    'Are you sure you want to delete this recurring transaction? This will delete ALL instances of this transaction.' :
-                    'Are you sure you want to delete this transaction?';
+                const transaction = filteredTransactions.find(t => t.id === id);
+                // Recurring instances are changed through their series
+                const transactionId = isRecurring ? transaction.recurringParentId : id;
+                const revisionQuery = transaction?.revision ? `?revision=${transaction.revision}` : '';
+
+                let confirmed;
+                let url = `api/transactions/${transactionId}${revisionQuery}`;
+                if (isRecurring) {
+                    const scope = await chooseRecurringScope('Delete recurring transaction', [
+                        { value: 'occurrence', label: 'This occurrence only' },
+                        { value: 'series', label: 'Entire series' }
+                    ]);
+                    confirmed = scope !== null;
+                    if (scope === 'occurrence') {
+                        // Skips this date; the rest of the series stays
+                        url = `api/transactions/${transactionId}/occurrences/${transaction.scheduledDate || transaction.date}${revisionQuery}`;
+                    }
+                } else {
+                    confirmed = confirm('Are you sure you want to delete this transaction?');
+                }
                 
-                if (confirm(message)) {
+                if (confirmed) {
                     try {
                         debugLog('Deleting transaction with ID:', transactionId);
-                        const response = await fetch(joinPath(`api/transactions/${transactionId}`), {
+                        const response = await fetch(joinPath(url), {
                             ...fetchConfig,
                             method: 'DELETE'
                         });
+                        if (await handleConflictResponse(response)) return;
                         await handleFetchResponse(response);
                         await loadTransactions();
                         await updateTotals();
@@ -435,35 +479,170 @@ async function loadTransactions() {
                 }
             });
         });
+
+        await loadUpcoming();
     } catch (error) {
         console.error('Error loading transactions:', error);
     }
 }
 
+// Due & upcoming list: pending transactions posted from recurring series (confirmed here,
+// optionally with the actual amount) followed by the occurrences coming up in the next two weeks
+async function loadUpcoming() {
+    const section = document.getElementById('upcomingSection');
+    if (!section) return;
+
+    try {
+        const response = await fetch(joinPath('api/transactions/upcoming?days=14'), fetchConfig);
+        await handleFetchResponse(response);
+        const { pending, upcoming } = await response.json();
+        const list = document.getElementById('upcomingList');
+
+        section.style.display = pending.length + upcoming.length > 0 ? '' : 'none';
+        list.innerHTML = [
+            ...pending.map(transaction => `
+                <div class="upcoming-item pending" data-id="${escapeHtml(transaction.id)}">
+                    <div class="details">
+                        <div class="title">${escapeHtml(transaction.title)}</div>
+                        <div class="metadata">${formatShortDate(transaction.date)} · Due</div>
+                    </div>
+                    <input type="number" class="upcoming-amount" value="${transaction.amount}" step="any" min="0" aria-label="Amount">
+                    <button class="upcoming-confirm">Confirm</button>
+                </div>`),
+            ...upcoming.map(transaction => `
+                <div class="upcoming-item">
+                    <div class="details">
+                        <div class="title">${escapeHtml(transaction.title)}</div>
+                        <div class="metadata">${formatShortDate(transaction.date)}</div>
+                    </div>
+                    <div class="transaction-amount ${transaction.type}">
+                        ${transaction.type === 'expense' ? '-' : ''}${formatCurrency(transaction.amount)}
+                    </div>
+                </div>`)
+        ].join('');
+
+        list.querySelectorAll('.upcoming-item.pending').forEach(item => {
+            const transaction = pending.find(t => t.id === item.dataset.id);
+            item.querySelector('.upcoming-confirm').addEventListener('click', async () => {
+                try {
+                    const response = await fetch(joinPath(`api/transactions/${transaction.id}/confirm`), {
+                        ...fetchConfig,
+                        method: 'POST',
+                        body: JSON.stringify({
+                            amount: item.querySelector('.upcoming-amount').value,
+                            revision: transaction.revision
+                        })
+                    });
+                    if (await handleConflictResponse(response)) return;
+                    await handleFetchResponse(response);
+                    await loadTransactions();
+                    await updateTotals();
+                    toastManager.show(`${transaction.title} confirmed`, 'success');
+                } catch (error) {
+                    console.error('Error confirming transaction:', error);
+                    toastManager.show('Failed to confirm transaction. Please try again.', 'error');
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error loading upcoming transactions:', error);
+    }
+}
+
+// Ask which part of a recurring series an action applies to.
+// Resolves to the chosen option's value, or null when the dialog is dismissed.
+function chooseRecurringScope(title, options) {
+    return new Promise(resolve => {
+        const modal = document.getElementById('scopeModal');
+        const container = document.getElementById('scopeOptions');
+        document.getElementById('scopeTitle').textContent = title;
+        container.innerHTML = options.map(option =>
+            `<button type="button" class="scope-option" data-value="${option.value}">${option.label}</button>`
+        ).join('');
+
+        const finish = (value) => {
+            modal.classList.remove('active');
+            modal.onclick = null;
+            resolve(value);
+        };
+        container.querySelectorAll('.scope-option').forEach(btn => {
+            btn.addEventListener('click', () => finish(btn.dataset.value));
+        });
+        document.getElementById('closeScope').onclick = () => finish(null);
+        modal.onclick = (e) => {
+            if (e.target === modal) finish(null);
+        };
+        modal.classList.add('active');
+    });
+}
+
+// Hide the fields a scoped recurring edit can't change: single occurrences only change amount,
+// title and category, and "this and following" always starts from the chosen occurrence.
+// Pass null to show every field again.
+function setScopedEditMode(scope) {
+    const form = document.getElementById('transactionForm');
+    document.querySelector('#transactionModal .transaction-type-toggle').style.display = scope === 'occurrence' ? 'none' : '';
+    document.getElementById('transactionDate').style.display = scope ? 'none' : '';
+    document.getElementById('dateTextField').style.display = scope ? 'none' : '';
+    document.getElementById('transactionDate').required = !scope;
+    form.querySelector('.recurring-controls').style.display = scope === 'occurrence' ? 'none' : 'block';
+}
+
+// Edit one occurrence of a recurring series (an override stored on the series)
+function editOccurrence(instance) {
+    editingTransactionId = instance.recurringParentId;
+    editingTransactionRevision = instance.revision || null;
+    editingOccurrenceDate = instance.scheduledDate || instance.date;
+
+    document.getElementById('amount').value = instance.amount;
+    document.getElementById('title').value = instance.title;
+    document.getElementById('transactionDate').value = instance.date;
+    document.querySelectorAll('.toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === instance.type);
+    });
+    renderCategoryPicker(instance.type, false);
+    document.getElementById('category').value = instance.category || '';
+
+    setScopedEditMode('occurrence');
+    document.querySelector('#transactionForm button[type="submit"]').textContent = 'Update occurrence';
+    document.getElementById('transactionModal').classList.add('active');
+}
+
+// Edit a recurring series from one occurrence onwards; earlier occurrences keep their values
+function editFollowing(instance) {
+    // Series are split at the date an occurrence was scheduled for, before any business-day move
+    const scheduledDate = instance.scheduledDate || instance.date;
+    editTransaction(instance.id, {
+        ...instance,
+        recurring: { ...instance.recurring, startDate: scheduledDate, amount: instance.amount }
+    }, true);
+    editingSplitDate = scheduledDate;
+    setScopedEditMode('following');
+    document.querySelector('#transactionForm button[type="submit"]').textContent = 'Update this and following';
+}
+
 // Update editTransaction function
 function editTransaction(id, transaction, isRecurringInstance) {
     // For recurring instances, always use the base transaction ID
     if (isRecurringInstance) {
-        // Extract the base transaction ID (everything before the date)
-        editingTransactionId = id.split('-202')[0]; // This will get the UUID part before the date
+        editingTransactionId = transaction.recurringParentId;
         
-        // Find the original transaction to get its start date
+        // Find the original transaction to get its start date and amount (instances carry the
+        // amount of their own occurrence, which an amount schedule or exception may change)
         const startDate = transaction.recurring?.startDate || transaction.date;
-        transaction = { ...transaction, date: startDate };
+        const amount = transaction.recurring?.amount ?? transaction.amount;
+        transaction = { ...transaction, date: startDate, amount };
     } else {
         editingTransactionId = id;
     }
+    editingTransactionRevision = transaction.revision || null;
 
     const modal = document.getElementById('transactionModal');
     const form = document.getElementById('transactionForm');
     const toggleBtns = document.querySelectorAll('.toggle-btn');
-    const categoryField = document.getElementById('categoryField');
     const recurringCheckbox = document.getElementById('recurring-checkbox');
     const recurringOptions = document.getElementById('recurring-options');
-    const recurringWeekday = document.getElementById('recurring-weekday');
-    const recurringInterval = document.getElementById('recurring-interval');
     const recurringUnit = document.getElementById('recurring-unit');
-    const dayOfMonthSelect = document.getElementById('day-of-month-select');
 
     // Set form values
     document.getElementById('amount').value = transaction.amount;
@@ -475,50 +654,27 @@ function editTransaction(id, transaction, isRecurringInstance) {
         btn.classList.toggle('active', btn.dataset.type === transaction.type);
     });
     
-    // Show/hide and set category for expenses
-    if (transaction.type === 'expense') {
-        categoryField.style.display = 'block';
-        document.getElementById('category').value = transaction.category;
-    } else {
-        categoryField.style.display = 'none';
-    }
+    // Show the categories of the transaction's type
+    renderCategoryPicker(transaction.type, false);
+    document.getElementById('category').value = transaction.category || '';
 
     // Set recurring options if this is a recurring transaction
     if (transaction.recurring) {
         recurringCheckbox.checked = true;
         recurringOptions.style.display = 'block';
         
-        // Parse the recurring pattern
-        const pattern = transaction.recurring.pattern;
-        const monthlyDayMatch = pattern.match(/every (\d+)(?:st|nd|rd|th) of the month/);
-        const regularMatch = pattern.match(/every (\d+) (day|week|month|year)(?:\s+on\s+(\w+))?/);
-        
-        if (monthlyDayMatch) {
-            recurringUnit.value = 'day of month';
-            dayOfMonthSelect.value = monthlyDayMatch[1];
-            dayOfMonthSelect.style.display = 'inline-block';
-            recurringInterval.style.display = 'none';
-            recurringWeekday.style.display = 'none';
-        } else if (regularMatch) {
-            const [, interval, unit, weekday] = regularMatch;
-            recurringInterval.value = interval;
-            recurringUnit.value = unit;
-            recurringInterval.style.display = 'inline-block';
-            dayOfMonthSelect.style.display = 'none';
-            
-            if (unit === 'week' && weekday) {
-                recurringWeekday.style.display = 'inline-block';
-                recurringWeekday.value = weekday;
-            } else {
-                recurringWeekday.style.display = 'none';
-            }
-        }
+        applyPatternToControls(transaction.recurring.pattern);
+        applyRecurringEnd(transaction.recurring);
+        applyAmountSchedule(transaction.recurring.amounts);
+        document.getElementById('recurring-business-day').value = transaction.recurring.businessDay || 'none';
     } else {
         recurringCheckbox.checked = false;
         recurringOptions.style.display = 'none';
-        recurringWeekday.style.display = 'none';
-        recurringInterval.style.display = 'inline-block';
-        dayOfMonthSelect.style.display = 'none';
+        recurringUnit.value = 'day';
+        applyRecurringEnd(null);
+        applyAmountSchedule();
+        document.getElementById('recurring-business-day').value = 'none';
+        syncRecurringControls();
     }
 
     // Update form submit button text
@@ -552,44 +708,157 @@ async function updateTotals() {
     } catch (error) {
         console.error('Error updating totals:', error);
     }
+
+    await loadForecast();
+    await loadBudgetSummary();
+}
+
+// Projected balance chart: one line through the daily balances, a dashed zero line when the
+// balance crosses it, and a marker at the lowest point
+async function loadForecast() {
+    const chart = document.getElementById('forecastChart');
+    if (!chart) return;
+
+    try {
+        const months = document.getElementById('forecastMonths').value;
+        const response = await fetch(joinPath(`api/forecast?months=${months}`), fetchConfig);
+        await handleFetchResponse(response);
+        const forecast = await response.json();
+
+        const width = 300;
+        const height = 80;
+        const balances = forecast.days.map(day => day.balance);
+        const max = Math.max(...balances, 0);
+        const min = Math.min(...balances, 0);
+        const span = max - min || 1;
+        const x = (index) => (index / Math.max(forecast.days.length - 1, 1)) * width;
+        const y = (balance) => height - 2 - ((balance - min) / span) * (height - 4);
+
+        const points = balances.map((balance, index) => `${x(index).toFixed(1)},${y(balance).toFixed(1)}`).join(' ');
+        const lowestIndex = forecast.days.findIndex(day => day.lowest);
+        chart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Projected balance">
+                ${min < 0 ? `<line class="forecast-zero" x1="0" x2="${width}" y1="${y(0)}" y2="${y(0)}" vector-effect="non-scaling-stroke"></line>` : ''}
+                <line class="forecast-lowest" x1="${x(lowestIndex)}" x2="${x(lowestIndex)}" y1="0" y2="${height}" vector-effect="non-scaling-stroke"></line>
+                <polyline class="forecast-line" points="${points}" vector-effect="non-scaling-stroke"></polyline>
+            </svg>`;
+
+        const summary = document.getElementById('forecastSummary');
+        summary.textContent = `Lowest ${formatCurrency(forecast.lowest.balance)} on ${formatShortDate(forecast.lowest.date)}`;
+        summary.classList.toggle('negative', forecast.goesNegative);
+    } catch (error) {
+        console.error('Error loading forecast:', error);
+    }
+}
+
+// Categories are stored on the server. Categories added before that were kept in this browser only;
+// they are uploaded once and then removed from localStorage.
+async function uploadLocalCategories() {
+    const localCategories = JSON.parse(localStorage.getItem('customCategories') || '[]');
+    for (const name of localCategories) {
+        const response = await fetch(joinPath('api/categories'), {
+            ...fetchConfig,
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+        // 400 means the server already has it
+        if (!response.ok && response.status !== 400) return;
+    }
+    localStorage.removeItem('customCategories');
+}
+
+// Expense and income categories as last loaded from the server, the type the picker shows,
+// whether it offers to let the rules choose (only for new transactions) and whether the user has
+// picked a category since the form opened
+const categoryLists = { expense: [], income: [] };
+let categoryPickerType = 'expense';
+let categoryPickerAutomatic = false;
+let categoryChosen = false;
+
+// e.g. categoriesUrl('income', 'Salary', '/merge') -> api/categories/Salary/merge?type=income
+function categoriesUrl(type, name = null, action = '') {
+    const path = name === null ? 'api/categories' : `api/categories/${encodeURIComponent(name)}${action}`;
+    return `${path}?type=${type}`;
+}
+
+// Full path of a category, e.g. "Food > Groceries", for the transaction list and exports
+function categoryLabel(name, type = 'expense') {
+    const category = categoryLists[type].find(c => c.name === name);
+    return category ? category.path.join(' > ') : name;
+}
+
+// Load both category trees and the rules from the server and refresh the picker. Returns the
+// lists by type.
+async function loadCategories() {
+    try {
+        if (localStorage.getItem('customCategories')) {
+            await uploadLocalCategories();
+        }
+        for (const type of Object.keys(categoryLists)) {
+            const response = await fetch(joinPath(categoriesUrl(type)), fetchConfig);
+            await handleFetchResponse(response);
+            categoryLists[type] = await response.json();
+        }
+        await loadRules();
+        renderCategoryPicker(categoryPickerType);
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+    return categoryLists;
 }
 
-// Custom Categories Management
-function loadCustomCategories() {
-    const customCategories = JSON.parse(localStorage.getItem('customCategories') || '[]');
+// Fill the category picker with the categories of a type as an indented tree, keeping the current
+// choice when it still exists. Income doesn't need a category. With automatic, and rules for the
+// type, the first choice leaves the category to the rules and is selected unless the user picked
+// a category.
+function renderCategoryPicker(type, automatic = categoryPickerAutomatic) {
     const categorySelect = document.getElementById('category');
+    if (!categorySelect) return;
+    categoryPickerType = type;
+    categoryPickerAutomatic = automatic;
+    const useRules = automatic && rules.some(rule => rule.type === type);
+
+    const selected = categorySelect.value;
     const addNewOption = categorySelect.querySelector('option[value="add_new"]');
-    
-    // Remove existing custom categories
-    Array.from(categorySelect.options).forEach(option => {
-        if (option.dataset.custom === 'true') {
-            categorySelect.removeChild(option);
-        }
-    });
-    
-    // Add custom categories before the "Add Category" option
-    customCategories.forEach(category => {
+    Array.from(categorySelect.options)
+        .filter(option => option !== addNewOption)
+        .forEach(option => categorySelect.removeChild(option));
+    if (type === 'income' || useRules) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = useRules ? 'Automatic (rules)' : 'No category';
+        categorySelect.insertBefore(option, addNewOption);
+    }
+    categoryLists[type].forEach(category => {
         const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        option.dataset.custom = 'true';
+        option.value = category.name;
+        option.textContent = '\u00A0\u00A0\u00A0'.repeat(category.depth) + category.name;
         categorySelect.insertBefore(option, addNewOption);
     });
+    categorySelect.required = type === 'expense' && !useRules;
+    categorySelect.selectedIndex = 0;
+    if ((!useRules || categoryChosen) && categoryLists[type].some(category => category.name === selected)) {
+        categorySelect.value = selected;
+    }
 }
 
-function saveCustomCategory(category) {
+async function addCategory(name) {
     try {
-        const customCategories = JSON.parse(localStorage.getItem('customCategories') || '[]');
-        if (!customCategories.includes(category)) {
-            customCategories.push(category);
-            localStorage.setItem('customCategories', JSON.stringify(customCategories));
-            toastManager.show(`New category (${category}) added!`, 'success');
+        const response = await fetch(joinPath(categoriesUrl(categoryPickerType)), {
+            ...fetchConfig,
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+        // An existing category is simply selected
+        if (response.status !== 400) {
+            await handleFetchResponse(response);
+            toastManager.show(`New category (${name}) added!`, 'success');
         }
-        loadCustomCategories();
-    }
-    catch (error) {
-        console.error('Error saving custom category:', error);
-        toastManager.show('Failed to save custom category. Please try again.', 'error');
+        await loadCategories();
+        document.getElementById('category').value = name;
+    } catch (error) {
+        console.error('Error saving category:', error);
+        toastManager.show('Failed to save category. Please try again.', 'error');
     }
 }
 
@@ -600,10 +869,11 @@ function initCategoryHandling() {
     const saveCategoryBtn = document.getElementById('saveCategory');
     const cancelCategoryBtn = document.getElementById('cancelCategory');
 
-    // Load custom categories on page load
-    loadCustomCategories();
+    // Load categories on page load
+    loadCategories();
 
     categorySelect.addEventListener('change', (e) => {
+        categoryChosen = true;
         if (e.target.value === 'add_new') {
             customCategoryField.style.display = 'block';
             categorySelect.style.display = 'none';
@@ -614,10 +884,9 @@ function initCategoryHandling() {
     saveCategoryBtn.addEventListener('click', () => {
         const newCategory = customCategoryInput.value.trim();
         if (newCategory) {
-            saveCustomCategory(newCategory);
+            addCategory(newCategory);
             customCategoryField.style.display = 'none';
             categorySelect.style.display = 'block';
-            categorySelect.value = newCategory;
             customCategoryInput.value = '';
         }
     });
@@ -625,7 +894,7 @@ function initCategoryHandling() {
     cancelCategoryBtn.addEventListener('click', () => {
         customCategoryField.style.display = 'none';
         categorySelect.style.display = 'block';
-        categorySelect.value = 'Other';
+        categorySelect.selectedIndex = 0;
         customCategoryInput.value = '';
     });
 
@@ -647,7 +916,6 @@ function initModalHandling() {
     const addTransactionBtn = document.getElementById('addTransactionBtn');
     const closeModalBtn = document.querySelector('.close-modal');
     const transactionForm = document.getElementById('transactionForm');
-    const categoryField = document.getElementById('categoryField');
     const toggleBtns = document.querySelectorAll('.toggle-btn');
     const amountInput = document.getElementById('amount');
 
@@ -661,6 +929,8 @@ function initModalHandling() {
     transactionForm.appendChild(recurringControls);
     recurringControls.style.display = 'block';
 
+    initDateTextInput();
+
     // Update amount input placeholder with current currency symbol
     function updateAmountPlaceholder() {
         const currencyInfo = SUPPORTED_CURRENCIES[currentCurrency] || SUPPORTED_CURRENCIES.USD;
@@ -676,18 +946,24 @@ function initModalHandling() {
         toggleBtns.forEach(btn => {
             btn.classList.toggle('active', btn.dataset.type === 'income');
         });
-        // Hide category field for income by default
-        categoryField.style.display = 'none';
+        // New transactions start as income, without a category or with the one the rules pick
         currentTransactionType = 'income';
+        categoryChosen = false;
+        renderCategoryPicker('income', true);
+        document.getElementById('category').value = '';
         
         // Reset recurring options
         document.getElementById('recurring-checkbox').checked = false;
         document.getElementById('recurring-options').style.display = 'none';
-        document.getElementById('recurring-weekday').style.display = 'none';
+        document.getElementById('recurring-business-day').value = 'none';
+        applyRecurringEnd(null);
+        applyAmountSchedule();
+        syncRecurringControls();
         
         // Set today's date as default
         const today = new Date().toISOString().split('T')[0];
         document.getElementById('transactionDate').value = today;
+        resetDateText();
 
         // Update amount placeholder with current currency
         updateAmountPlaceholder();
@@ -697,6 +973,13 @@ function initModalHandling() {
     const closeModal = () => {
         modal.classList.remove('active');
         editingTransactionId = null;
+        editingTransactionRevision = null;
+        editingOccurrenceDate = null;
+        editingSplitDate = null;
+        applyRecurringEnd(null);
+        applyAmountSchedule();
+        resetDateText();
+        setScopedEditMode(null);
         const submitBtn = transactionForm.querySelector('button[type="submit"]');
         submitBtn.textContent = 'Add';
     };
@@ -720,8 +1003,8 @@ function initModalHandling() {
             
             currentTransactionType = btn.dataset.type;
             
-            // Show/hide category field based on transaction type
-            categoryField.style.display = currentTransactionType === 'expense' ? 'block' : 'none';
+            // Each type has its own categories
+            renderCategoryPicker(currentTransactionType);
         });
     });
 
@@ -733,17 +1016,26 @@ function initModalHandling() {
             type: currentTransactionType,
             amount: parseFloat(document.getElementById('amount').value),
             title: document.getElementById('title').value,
-            category: currentTransactionType === 'expense' ? document.getElementById('category').value : null,
+            category: document.getElementById('category').value || null,
             date: document.getElementById('transactionDate').value,
             recurring: buildRecurringPattern()
         };
+        if (editingTransactionId && editingTransactionRevision) {
+            formData.revision = editingTransactionRevision;
+        }
 
         try {
-            const url = editingTransactionId 
+            let url = editingTransactionId 
                 ? joinPath(`api/transactions/${editingTransactionId}`)
                 : joinPath('api/transactions');
-                
-            const method = editingTransactionId ? 'PUT' : 'POST';
+            let method = editingTransactionId ? 'PUT' : 'POST';
+            if (editingOccurrenceDate) {
+                url = joinPath(`api/transactions/${editingTransactionId}/occurrences/${editingOccurrenceDate}`);
+            } else if (editingSplitDate) {
+                url = joinPath(`api/transactions/${editingTransactionId}/split`);
+                method = 'POST';
+                formData.from = editingSplitDate;
+            }
 
             const response = await fetch(url, {
                 ...fetchConfig,
@@ -751,6 +1043,16 @@ function initModalHandling() {
                 body: JSON.stringify(formData)
             });
 
+            if (await handleConflictResponse(response)) {
+                closeModal();
+                return;
+            }
+            // e.g. an expense left to the rules when none of them matches
+            if (response.status === 400) {
+                const { error } = await response.json();
+                toastManager.show(error, 'error');
+                return;
+            }
             await handleFetchResponse(response);
             
             // Reset editing state
@@ -777,6 +1079,78 @@ function initModalHandling() {
     });
 }
 
+// Natural-language date entry: the server parses the text into a date or a recurring pattern,
+// which fills in the date and recurring controls and lists the next few occurrences
+function initDateTextInput() {
+    const input = document.getElementById('dateText');
+
+    input.addEventListener('keydown', (e) => {
+        // Enter parses the text instead of submitting the form
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyDateText();
+        }
+    });
+    input.addEventListener('change', applyDateText);
+}
+
+function resetDateText() {
+    document.getElementById('dateText').value = '';
+    document.getElementById('dateTextPreview').textContent = '';
+    document.getElementById('dateTextPreview').classList.remove('error');
+}
+
+async function applyDateText() {
+    const input = document.getElementById('dateText');
+    const preview = document.getElementById('dateTextPreview');
+    const text = input.value.trim();
+    if (!text) {
+        resetDateText();
+        return;
+    }
+
+    try {
+        const response = await fetch(joinPath('api/parse'), {
+            ...fetchConfig,
+            method: 'POST',
+            body: JSON.stringify({ text, date: document.getElementById('transactionDate').value || undefined })
+        });
+        const result = await response.json();
+        // Ignore answers for text that has changed since the request was sent
+        if (input.value.trim() !== text) return;
+        if (!response.ok) {
+            preview.textContent = result.error || 'Could not understand that date';
+            preview.classList.add('error');
+            return;
+        }
+
+        document.getElementById('transactionDate').value = result.date;
+        const recurringCheckbox = document.getElementById('recurring-checkbox');
+        recurringCheckbox.checked = Boolean(result.recurring);
+        document.getElementById('recurring-options').style.display = result.recurring ? 'block' : 'none';
+        applyRecurringEnd(result.recurring);
+        if (result.recurring) {
+            applyPatternToControls(result.recurring.pattern);
+        }
+
+        const dates = result.preview.map(date => formatShortDate(date)).join(', ');
+        preview.classList.remove('error');
+        preview.textContent = result.recurring
+            ? `Next: ${dates}${result.recurring.until ? ` (until ${formatShortDate(result.recurring.until)})` : ''}`
+            : formatShortDate(result.date);
+    } catch (error) {
+        console.error('Error parsing date text:', error);
+        preview.textContent = 'Could not understand that date';
+        preview.classList.add('error');
+    }
+}
+
+// "2024-03-15" -> "3/15/2024", as dates are shown in the transaction list
+function formatShortDate(date) {
+    const [year, month, day] = date.split('-');
+    return `${parseInt(month)}/${parseInt(day)}/${year}`;
+}
+
 // Add recurring transaction UI elements
 function createRecurringControls() {
     const container = document.createElement('div');
@@ -836,14 +1210,25 @@ function createRecurringControls() {
         dayOfMonthSelect.appendChild(option);
     }
 
-    // Unit select
+    // Unit select; the last five options are saved as RRULE patterns
     const unitSelect = document.createElement('select');
     unitSelect.id = 'recurring-unit';
-    const units = ['day', 'week', 'month', 'year', 'day of month'];
-    units.forEach(unit => {
+    const units = [
+        ['day', 'days'],
+        ['week', 'weeks'],
+        ['month', 'months'],
+        ['year', 'years'],
+        ['day of month', 'day of month'],
+        ['weekdays', 'weeks on weekdays'],
+        ['month weekday', 'months on the'],
+        ['month days', 'months on days'],
+        ['last business day', 'months on the last business day'],
+        ['custom', 'custom rule (RRULE)']
+    ];
+    units.forEach(([unit, label]) => {
         const option = document.createElement('option');
         option.value = unit;
-        option.textContent = unit === 'day of month' ? 'day of month' : unit + (unit === 'day' ? '' : 's');
+        option.textContent = label;
         unitSelect.appendChild(option);
     });
 
@@ -851,6 +1236,32 @@ function createRecurringControls() {
     intervalWrapper.appendChild(dayOfMonthSelect);
     intervalWrapper.appendChild(unitSelect);
 
+    // Detail row: ordinal + weekday, days of the month, or a custom rule depending on the unit
+    const detailWrapper = document.createElement('div');
+    detailWrapper.className = 'interval-wrapper recurring-detail';
+
+    const ordinalSelect = document.createElement('select');
+    ordinalSelect.id = 'recurring-ordinal';
+    ordinalSelect.style.display = 'none';
+    [[1, '1st'], [2, '2nd'], [3, '3rd'], [4, '4th'], [-1, 'last']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        ordinalSelect.appendChild(option);
+    });
+
+    const monthDaysInput = document.createElement('input');
+    monthDaysInput.type = 'text';
+    monthDaysInput.id = 'recurring-monthdays';
+    monthDaysInput.placeholder = 'Days, e.g. 1, 15 (-1 = last day)';
+    monthDaysInput.style.display = 'none';
+
+    const rruleInput = document.createElement('input');
+    rruleInput.type = 'text';
+    rruleInput.id = 'recurring-rrule';
+    rruleInput.placeholder = 'FREQ=MONTHLY;BYDAY=-1FR';
+    rruleInput.style.display = 'none';
+
     // Weekday select (for weekly recurrence)
     const weekdaySelect = document.createElement('select');
     weekdaySelect.id = 'recurring-weekday';
@@ -863,20 +1274,86 @@ function createRecurringControls() {
         weekdaySelect.appendChild(option);
     });
 
+    // Where an occurrence that falls on a weekend or holiday lands
+    const businessDayWrapper = document.createElement('div');
+    businessDayWrapper.className = 'interval-wrapper';
+    const businessDaySelect = document.createElement('select');
+    businessDaySelect.id = 'recurring-business-day';
+    businessDaySelect.setAttribute('aria-label', 'On weekends and holidays');
+    [
+        ['none', 'Keep weekend and holiday dates'],
+        ['previous', 'Move to the previous business day'],
+        ['next', 'Move to the next business day'],
+        ['nearest', 'Move to the nearest business day']
+    ].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        businessDaySelect.appendChild(option);
+    });
+    businessDayWrapper.appendChild(businessDaySelect);
+
+    // When the series ends: never, on a date, or after a number of occurrences
+    const endWrapper = document.createElement('div');
+    endWrapper.className = 'interval-wrapper';
+    const endSelect = document.createElement('select');
+    endSelect.id = 'recurring-end';
+    endSelect.setAttribute('aria-label', 'Ends');
+    [['never', 'Never ends'], ['until', 'Ends on'], ['count', 'Ends after']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        endSelect.appendChild(option);
+    });
+    const untilInput = document.createElement('input');
+    untilInput.type = 'date';
+    untilInput.id = 'recurring-until';
+    untilInput.setAttribute('aria-label', 'End date');
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.id = 'recurring-count';
+    countInput.min = '1';
+    countInput.step = '1';
+    countInput.setAttribute('aria-label', 'Number of occurrences');
+    const countLabel = document.createElement('span');
+    countLabel.id = 'recurring-count-label';
+    countLabel.textContent = 'occurrences';
+    endWrapper.appendChild(endSelect);
+    endWrapper.appendChild(untilInput);
+    endWrapper.appendChild(countInput);
+    endWrapper.appendChild(countLabel);
+
+    // Amount changes on known dates, e.g. the full price once a promotion ends
+    const amountsWrapper = document.createElement('div');
+    amountsWrapper.className = 'recurring-amounts';
+    const amountsList = document.createElement('div');
+    amountsList.id = 'recurring-amounts-list';
+    const addAmountBtn = document.createElement('button');
+    addAmountBtn.type = 'button';
+    addAmountBtn.className = 'add-amount-btn';
+    addAmountBtn.textContent = '+ Amount change';
+    addAmountBtn.addEventListener('click', () => addAmountScheduleRow());
+    amountsWrapper.appendChild(amountsList);
+    amountsWrapper.appendChild(addAmountBtn);
+
     // Event listeners
     checkbox.addEventListener('change', () => {
         optionsDiv.style.display = checkbox.checked ? 'block' : 'none';
     });
 
-    unitSelect.addEventListener('change', () => {
-        weekdaySelect.style.display = unitSelect.value === 'week' ? 'inline-block' : 'none';
-        intervalInput.style.display = unitSelect.value === 'day of month' ? 'none' : 'inline-block';
-        dayOfMonthSelect.style.display = unitSelect.value === 'day of month' ? 'inline-block' : 'none';
-    });
+    unitSelect.addEventListener('change', syncRecurringControls);
+    endSelect.addEventListener('change', syncRecurringEndControls);
 
     // Assemble the controls
+    detailWrapper.appendChild(ordinalSelect);
+    detailWrapper.appendChild(weekdaySelect);
+    detailWrapper.appendChild(monthDaysInput);
+    detailWrapper.appendChild(rruleInput);
     optionsDiv.appendChild(intervalWrapper);
-    optionsDiv.appendChild(weekdaySelect);
+    optionsDiv.appendChild(detailWrapper);
+    optionsDiv.appendChild(businessDayWrapper);
+    optionsDiv.appendChild(endWrapper);
+    optionsDiv.appendChild(amountsWrapper);
 
     container.appendChild(checkboxWrapper);
     container.appendChild(optionsDiv);
@@ -884,23 +1361,157 @@ function createRecurringControls() {
     return container;
 }
 
-// Function to build the recurring pattern string
+// Show only the recurring inputs that apply to the selected unit
+function syncRecurringControls() {
+    const unit = document.getElementById('recurring-unit').value;
+    const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? 'inline-block' : 'none';
+    };
+    show('recurring-interval', unit !== 'day of month' && unit !== 'custom');
+    show('day-of-month-select', unit === 'day of month');
+    show('recurring-weekday', unit === 'week' || unit === 'month weekday');
+    show('recurring-ordinal', unit === 'month weekday');
+    show('recurring-monthdays', unit === 'month days');
+    show('recurring-rrule', unit === 'custom');
+}
+
+// Show the end date or occurrence count input for the selected end condition
+function syncRecurringEndControls() {
+    const end = document.getElementById('recurring-end').value;
+    document.getElementById('recurring-until').style.display = end === 'until' ? 'inline-block' : 'none';
+    document.getElementById('recurring-count').style.display = end === 'count' ? 'inline-block' : 'none';
+    document.getElementById('recurring-count-label').style.display = end === 'count' ? 'inline' : 'none';
+}
+
+// Set the end controls from a series' until date and occurrence count (null for a series that never ends)
+function applyRecurringEnd(recurring) {
+    document.getElementById('recurring-end').value = recurring?.count ? 'count' : (recurring?.until ? 'until' : 'never');
+    document.getElementById('recurring-until').value = recurring?.until || '';
+    document.getElementById('recurring-count').value = recurring?.count || '';
+    syncRecurringEndControls();
+}
+
+function addAmountScheduleRow(entry = {}) {
+    const row = document.createElement('div');
+    row.className = 'interval-wrapper recurring-amount-row';
+    row.innerHTML = `
+        <span>From</span>
+        <input type="date" class="recurring-amount-from" aria-label="Date the amount changes">
+        <input type="number" class="recurring-amount-value" step="any" min="0" placeholder="Amount" aria-label="New amount">
+        <button type="button" class="remove-amount" aria-label="Remove amount change">&times;</button>`;
+    row.querySelector('.recurring-amount-from').value = entry.from || '';
+    row.querySelector('.recurring-amount-value').value = entry.amount ?? '';
+    row.querySelector('.remove-amount').addEventListener('click', () => row.remove());
+    document.getElementById('recurring-amounts-list').appendChild(row);
+}
+
+function applyAmountSchedule(amounts = []) {
+    document.getElementById('recurring-amounts-list').innerHTML = '';
+    amounts.forEach(entry => addAmountScheduleRow(entry));
+}
+
+// Amount schedule entries from the form; rows without both a date and an amount are left out
+function readAmountSchedule() {
+    return [...document.querySelectorAll('.recurring-amount-row')]
+        .map(row => ({
+            from: row.querySelector('.recurring-amount-from').value,
+            amount: row.querySelector('.recurring-amount-value').value
+        }))
+        .filter(entry => entry.from && entry.amount !== '');
+}
+
+// Select the picker options for a stored pattern (legacy "every N unit" text or an RRULE)
+function applyPatternToControls(pattern) {
+    const monthlyDayMatch = pattern.match(/every (\d+)(?:st|nd|rd|th) of the month/);
+    const regularMatch = pattern.match(/every (\d+) (day|week|month|year)(?:\s+on\s+(\w+))?/);
+
+    if (/^(RRULE:)?FREQ=/i.test(pattern)) {
+        applyRRuleToControls(pattern);
+    } else if (monthlyDayMatch) {
+        document.getElementById('recurring-unit').value = 'day of month';
+        document.getElementById('day-of-month-select').value = monthlyDayMatch[1];
+    } else if (regularMatch) {
+        const [, interval, unit, weekday] = regularMatch;
+        document.getElementById('recurring-interval').value = interval;
+        document.getElementById('recurring-unit').value = unit;
+        if (unit === 'week' && weekday) {
+            document.getElementById('recurring-weekday').value = weekday;
+        }
+    }
+    syncRecurringControls();
+}
+
+// Select the picker options that produce an RRULE pattern; rules the picker can't express open as custom
+function applyRRuleToControls(pattern) {
+    const rule = pattern.replace(/^RRULE:/i, '').toUpperCase();
+    const interval = (rule.match(/(?:^|;)INTERVAL=(\d+)/) || [, '1'])[1];
+    const weekdayNames = { MO: 'monday', TU: 'tuesday', WE: 'wednesday', TH: 'thursday', FR: 'friday', SA: 'saturday', SU: 'sunday' };
+    const withoutInterval = rule.replace(/;INTERVAL=\d+/, '');
+    let match;
+
+    document.getElementById('recurring-interval').value = interval;
+    if (withoutInterval === 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR') {
+        document.getElementById('recurring-unit').value = 'weekdays';
+    } else if (withoutInterval === 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1') {
+        document.getElementById('recurring-unit').value = 'last business day';
+    } else if ((match = withoutInterval.match(/^FREQ=MONTHLY;BYDAY=(-1|[1-4])(MO|TU|WE|TH|FR|SA|SU)$/))) {
+        document.getElementById('recurring-unit').value = 'month weekday';
+        document.getElementById('recurring-ordinal').value = match[1];
+        document.getElementById('recurring-weekday').value = weekdayNames[match[2]];
+    } else if ((match = withoutInterval.match(/^FREQ=MONTHLY;BYMONTHDAY=([-\d,]+)$/))) {
+        document.getElementById('recurring-unit').value = 'month days';
+        document.getElementById('recurring-monthdays').value = match[1].split(',').join(', ');
+    } else {
+        document.getElementById('recurring-unit').value = 'custom';
+        document.getElementById('recurring-rrule').value = pattern;
+    }
+}
+
+// Function to build the recurring settings sent with the transaction
 function buildRecurringPattern() {
     const checkbox = document.getElementById('recurring-checkbox');
     if (!checkbox.checked) return null;
 
+    const end = document.getElementById('recurring-end').value;
+    return {
+        pattern: recurringPatternFromControls(),
+        until: end === 'until' ? document.getElementById('recurring-until').value || null : null,
+        count: end === 'count' ? parseInt(document.getElementById('recurring-count').value, 10) || null : null,
+        businessDay: document.getElementById('recurring-business-day').value,
+        amounts: readAmountSchedule()
+    };
+}
+
+// Pattern string from the recurring picker
+function recurringPatternFromControls() {
     const unit = document.getElementById('recurring-unit').value;
+    const interval = document.getElementById('recurring-interval').value || '1';
+    const weekdayCode = document.getElementById('recurring-weekday').value.slice(0, 2).toUpperCase();
+    const intervalPart = interval === '1' ? '' : `;INTERVAL=${interval}`;
+
+    switch (unit) {
+        case 'weekdays':
+            return `RRULE:FREQ=WEEKLY${intervalPart};BYDAY=MO,TU,WE,TH,FR`;
+        case 'month weekday':
+            return `RRULE:FREQ=MONTHLY${intervalPart};BYDAY=${document.getElementById('recurring-ordinal').value}${weekdayCode}`;
+        case 'month days': {
+            const days = document.getElementById('recurring-monthdays').value.split(/[\s,]+/).filter(Boolean).join(',');
+            return `RRULE:FREQ=MONTHLY${intervalPart};BYMONTHDAY=${days}`;
+        }
+        case 'last business day':
+            return `RRULE:FREQ=MONTHLY${intervalPart};BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1`;
+        case 'custom': {
+            const rule = document.getElementById('recurring-rrule').value.trim();
+            return /^RRULE:/i.test(rule) ? rule : `RRULE:${rule}`;
+        }
+    }
 
     if (unit === 'day of month') {
         const dayNum = document.getElementById('day-of-month-select').value;
         const suffix = getDaySuffix(dayNum);
-        return {
-            pattern: `every ${dayNum}${suffix} of the month`,
-            until: null
-        };
+        return `every ${dayNum}${suffix} of the month`;
     }
 
-    const interval = document.getElementById('recurring-interval').value;
     const weekday = document.getElementById('recurring-weekday').value;
 
     let pattern = `every ${interval} ${unit}`;
@@ -908,10 +1519,7 @@ function buildRecurringPattern() {
         pattern += ` on ${weekday}`;
     }
 
-    return {
-        pattern,
-        until: null
-    };
+    return pattern;
 }
 
 // Helper function to get the correct suffix for a day number
@@ -926,103 +1534,1224 @@ function getDaySuffix(day) {
     }
 }
 
-// Update the initMainPage function to fetch currency first
-async function initMainPage() {
-    await fetchCurrentCurrency();
-    const mainContainer = document.getElementById('transactionModal');
-    if (!mainContainer) return; // Only run on main page
-
-    // Update currency symbols
-    const currencyInfo = SUPPORTED_CURRENCIES[currentCurrency] || SUPPORTED_CURRENCIES.USD;
-    document.querySelector('.currency-sort-symbol').textContent = currencyInfo.symbol;
-    document.querySelector('.currency-symbol').textContent = currencyInfo.symbol;
-
-    // Update amount placeholder when currency changes
-    const amountInput = document.getElementById('amount');
-    if (amountInput) {
-        amountInput.placeholder = `Amount (${currencyInfo.symbol})`;
-    }
-
-    const startDateInput = document.getElementById('startDate');
-    const endDateInput = document.getElementById('endDate');
-
-    // Set initial date range to current month
-    const now = new Date();
-    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-
-    startDateInput.value = firstDay.toISOString().split('T')[0];
-    endDateInput.value = lastDay.toISOString().split('T')[0];
+// Settings modal
+function initSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    if (!modal) return;
 
-    // Add event listeners for date changes
-    startDateInput.addEventListener('change', () => {
-        if (startDateInput.value > endDateInput.value) {
-            endDateInput.value = startDateInput.value;
-        }
-        loadTransactions();
-        updateTotals();
-    });
+    const openModal = () => {
+        modal.classList.add('active');
+        loadBackups();
+        loadCategorySettings();
+        loadRuleSettings();
+        loadCalendarFeed();
+    };
+    const closeModal = () => modal.classList.remove('active');
 
-    endDateInput.addEventListener('change', () => {
-        if (endDateInput.value < startDateInput.value) {
-            startDateInput.value = endDateInput.value;
+    document.getElementById('settingsBtn').addEventListener('click', openModal);
+    document.getElementById('closeSettings').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
         }
-        loadTransactions();
-        updateTotals();
     });
 
-    // Export to CSV
-    document.getElementById('exportBtn').addEventListener('click', async () => {
+    document.getElementById('createBackupBtn').addEventListener('click', async () => {
         try {
-            const startDate = document.getElementById('startDate').value;
-            const endDate = document.getElementById('endDate').value;
-            const response = await fetch(joinPath(`api/export/range?start=${startDate}&end=${endDate}`), {
+            const response = await fetch(joinPath('api/backups'), {
                 ...fetchConfig,
-                method: 'GET'
+                method: 'POST'
             });
-            
-            // Use the same response handler as other requests
-            const handledResponse = await handleFetchResponse(response);
-            if (!handledResponse) return;
-            
-            const blob = await handledResponse.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `transactions-${startDate}-to-${endDate}.csv`;
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+            await handleFetchResponse(response);
+            toastManager.show('Backup created!', 'success');
+            await loadBackups();
         } catch (error) {
-            console.error('Error exporting transactions:', error);
-            alert('Failed to export transactions. Please try again.');
+            console.error('Error creating backup:', error);
+            toastManager.show('Failed to create backup. Please try again.', 'error');
         }
     });
 
-    // Export to PDF
-    document.getElementById('exportPdfBtn').addEventListener('click', async () => {
-        try {
-            const startDate = document.getElementById('startDate').value;
-            const endDate = document.getElementById('endDate').value;
-            
-            // Get instance name from server
-            const configResponse = await fetch(joinPath('api/config'), fetchConfig);
-            await handleFetchResponse(configResponse);
-            const config = await configResponse.json();
-            const instanceName = config.instanceName || 'DumbBudget';
-            
-            // Get the current totals
-            const response = await fetch(joinPath(`api/totals/range?start=${startDate}&end=${endDate}`), fetchConfig);
-            await handleFetchResponse(response);
-            const totals = await response.json();
-            
-            // Get transactions
-            const transactionsResponse = await fetch(joinPath(`api/transactions/range?start=${startDate}&end=${endDate}`), fetchConfig);
-            await handleFetchResponse(transactionsResponse);
-            const transactions = await transactionsResponse.json();
-            
-            // Create PDF
+    document.getElementById('addCategoryBtn').addEventListener('click', createCategory);
+    document.getElementById('categorySettingsType').addEventListener('change', loadCategorySettings);
+}
+
+function formatBackupSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function loadBackups() {
+    const backupsList = document.getElementById('backupsList');
+    try {
+        const response = await fetch(joinPath('api/backups'), fetchConfig);
+        await handleFetchResponse(response);
+        const { backups } = await response.json();
+
+        if (backups.length === 0) {
+            backupsList.innerHTML = '<div class="settings-empty">No backups yet</div>';
+            return;
+        }
+
+        const kindLabels = {
+            'backup': 'Automatic',
+            'pre-migration': 'Before upgrade',
+            'pre-restore': 'Before restore'
+        };
+
+        backupsList.innerHTML = backups.map(backup => `
+            <div class="settings-item" data-name="${backup.name}">
+                <div class="details">
+                    <span>${new Date(backup.createdAt).toLocaleString()}</span>
+                    <span class="metadata">${kindLabels[backup.kind] || backup.kind} · ${formatBackupSize(backup.size)}</span>
+                </div>
+                <div class="actions">
+                    <a class="export-btn" href="${joinPath(`api/backups/${encodeURIComponent(backup.name)}`)}" download="${backup.name}">Download</a>
+                    <button type="button" class="export-btn restore-backup">Restore</button>
+                </div>
+            </div>
+        `).join('');
+
+        backupsList.querySelectorAll('.restore-backup').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const name = btn.closest('.settings-item').dataset.name;
+                if (!confirm('Restore this backup? Your current data will be replaced (a copy is kept as a backup).')) return;
+
+                try {
+                    debugLog('Restoring backup:', name);
+                    const response = await fetch(joinPath(`api/backups/${encodeURIComponent(name)}/restore`), {
+                        ...fetchConfig,
+                        method: 'POST'
+                    });
+                    await handleFetchResponse(response);
+                    toastManager.show('Backup restored!', 'success');
+                    await loadBackups();
+                    await loadTransactions();
+                    await updateTotals();
+                } catch (error) {
+                    console.error('Error restoring backup:', error);
+                    toastManager.show('Failed to restore backup. Please try again.', 'error');
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error loading backups:', error);
+        backupsList.innerHTML = '<div class="settings-empty">Failed to load backups</div>';
+    }
+}
+
+// Category manager in the settings panel: add, rename (or merge, when the new name exists), move
+// under another parent and delete. The type picker switches between expense and income categories.
+function categorySettingsType() {
+    return document.getElementById('categorySettingsType').value;
+}
+
+async function loadCategorySettings() {
+    const list = document.getElementById('categoriesList');
+    const categories = (await loadCategories())[categorySettingsType()];
+    if (categories.length === 0) {
+        list.innerHTML = '<div class="settings-empty">Failed to load categories</div>';
+        return;
+    }
+
+    const plural = (count) => `${count} transaction${count === 1 ? '' : 's'}`;
+    const option = (category) => `<option value="${escapeHtml(category.name)}">${escapeHtml(category.path.join(' > '))}</option>`;
+    // A category can't move under itself or one of its own subcategories
+    const parentOptions = (category) => categories
+        .filter(other => !other.path.includes(category.name))
+        .map(option).join('');
+    list.innerHTML = categories.map(category => `
+        <div class="settings-item category-item" data-name="${escapeHtml(category.name)}">
+            <div class="details" style="padding-left: ${category.depth * 1.25}rem;">
+                <span>${escapeHtml(category.name)}</span>
+                <span class="metadata">${plural(category.count)}${category.total !== category.count ? `, ${category.total} with subcategories` : ''}</span>
+            </div>
+            <div class="actions">
+                <button type="button" class="export-btn" data-action="rename">Rename</button>
+                <button type="button" class="export-btn" data-action="parent">Move</button>
+                <button type="button" class="export-btn" data-action="delete">Delete</button>
+            </div>
+            <div class="category-move category-parent" style="display: none;">
+                <span>Move under</span>
+                <select aria-label="Parent category">
+                    <option value="">Top level</option>
+                    ${parentOptions(category)}
+                </select>
+                <button type="button" class="export-btn" data-action="confirm-parent">Save</button>
+                <button type="button" class="export-btn" data-action="cancel-parent">Cancel</button>
+            </div>
+            <div class="category-move category-delete" style="display: none;">
+                <span>Move ${plural(category.count)} to</span>
+                <select aria-label="Move transactions to">
+                    ${categories.filter(other => other.name !== category.name).map(option).join('')}
+                </select>
+                <button type="button" class="export-btn" data-action="confirm-delete">Delete</button>
+                <button type="button" class="export-btn" data-action="cancel-delete">Cancel</button>
+            </div>
+        </div>`).join('');
+
+    list.querySelectorAll('.category-item').forEach(row => {
+        const category = categories.find(c => c.name === row.dataset.name);
+        const parent = row.querySelector('.category-parent');
+        const move = row.querySelector('.category-delete');
+        row.querySelector('[data-action="rename"]').addEventListener('click', () => renameCategory(category, categories));
+        row.querySelector('[data-action="parent"]').addEventListener('click', () => {
+            parent.querySelector('select').value = category.parent || '';
+            move.style.display = 'none';
+            parent.style.display = 'flex';
+        });
+        row.querySelector('[data-action="cancel-parent"]').addEventListener('click', () => {
+            parent.style.display = 'none';
+        });
+        row.querySelector('[data-action="confirm-parent"]').addEventListener('click', () => {
+            moveCategory(category, parent.querySelector('select').value || null);
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            if (category.count === 0) {
+                if (confirm(`Delete ${category.name}?`)) deleteCategory(category, null);
+                return;
+            }
+            parent.style.display = 'none';
+            move.style.display = 'flex';
+        });
+        row.querySelector('[data-action="cancel-delete"]').addEventListener('click', () => {
+            move.style.display = 'none';
+        });
+        row.querySelector('[data-action="confirm-delete"]').addEventListener('click', () => {
+            deleteCategory(category, move.querySelector('select').value);
+        });
+    });
+}
+
+// Send a category change, then refresh everything that shows categories
+async function updateCategories(url, options, message) {
+    try {
+        const response = await fetch(joinPath(url), { ...fetchConfig, ...options });
+        if (response.status === 400 || response.status === 404) {
+            const { error } = await response.json();
+            toastManager.show(error, 'error');
+            return;
+        }
+        await handleFetchResponse(response);
+        toastManager.show(message, 'success');
+        await loadCategorySettings();
+        await loadTransactions();
+        await updateTotals();
+    } catch (error) {
+        console.error('Error updating categories:', error);
+        toastManager.show('Failed to update categories. Please try again.', 'error');
+    }
+}
+
+function renameCategory(category, categories) {
+    const name = prompt(`Rename ${category.name} to:`, category.name)?.trim();
+    if (!name || name === category.name) return;
+    const type = categorySettingsType();
+    if (categories.some(c => c.name === name)) {
+        if (!confirm(`${name} already exists. Move everything in ${category.name} to ${name}?`)) return;
+        updateCategories(categoriesUrl(type, category.name, '/merge'), { method: 'POST', body: JSON.stringify({ into: name }) },
+            `${category.name} merged into ${name}`);
+        return;
+    }
+    updateCategories(categoriesUrl(type, category.name), { method: 'PUT', body: JSON.stringify({ name }) },
+        `${category.name} renamed to ${name}`);
+}
+
+function moveCategory(category, parent) {
+    if (parent === category.parent) return;
+    updateCategories(categoriesUrl(categorySettingsType(), category.name),
+        { method: 'PUT', body: JSON.stringify({ name: category.name, parent }) },
+        parent ? `${category.name} moved under ${parent}` : `${category.name} moved to the top level`);
+}
+
+function createCategory() {
+    const name = prompt('New category name:')?.trim();
+    if (!name) return;
+    updateCategories(categoriesUrl(categorySettingsType()), { method: 'POST', body: JSON.stringify({ name }) },
+        `New category (${name}) added!`);
+}
+
+function deleteCategory(category, moveTo) {
+    const query = moveTo ? `&moveTo=${encodeURIComponent(moveTo)}` : '';
+    updateCategories(`${categoriesUrl(categorySettingsType(), category.name)}${query}`, { method: 'DELETE' },
+        `${category.name} deleted`);
+}
+
+// Auto-categorization rules as last loaded from the server, in the order they run
+let rules = [];
+let editingRule = null;
+
+const RULE_OPERATORS = {
+    title: [['contains', 'contains'], ['equals', 'is'], ['matches', 'matches pattern']],
+    amount: [['>', '>'], ['>=', '≥'], ['<', '<'], ['<=', '≤'], ['=', '=']]
+};
+
+function describeCondition({ field, operator, value }) {
+    const label = RULE_OPERATORS[field]?.find(([op]) => op === operator)?.[1] || operator;
+    return field === 'amount' ? `amount ${label} ${formatCurrency(value)}` : `title ${label} "${value}"`;
+}
+
+function describeRule(rule) {
+    const conditions = rule.conditions.map(describeCondition).join(' and ');
+    return `${rule.type === 'income' ? 'Income' : 'Expense'} with ${conditions} → ${categoryLabel(rule.category, rule.type)}`;
+}
+
+async function loadRules() {
+    try {
+        const response = await fetch(joinPath('api/rules'), fetchConfig);
+        await handleFetchResponse(response);
+        rules = await response.json();
+    } catch (error) {
+        console.error('Error loading rules:', error);
+    }
+    return rules;
+}
+
+// Rule list in the settings panel, in the order the rules run
+async function loadRuleSettings() {
+    const list = document.getElementById('rulesList');
+    await loadRules();
+    renderCategoryPicker(categoryPickerType);
+    if (rules.length === 0) {
+        list.innerHTML = '<div class="settings-empty">No rules yet</div>';
+        return;
+    }
+
+    list.innerHTML = rules.map((rule, index) => `
+        <div class="settings-item" data-id="${escapeHtml(rule.id)}">
+            <div class="details">
+                <span>${escapeHtml(describeRule(rule))}</span>
+                <span class="metadata">${rule.stop ? 'Stops here when it matches' : 'Later rules can still change the category'}</span>
+            </div>
+            <div class="actions">
+                <button type="button" class="export-btn" data-action="up" aria-label="Run earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="export-btn" data-action="down" aria-label="Run later" ${index === rules.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="export-btn" data-action="edit">Edit</button>
+                <button type="button" class="export-btn" data-action="delete">Delete</button>
+            </div>
+        </div>`).join('');
+
+    list.querySelectorAll('.settings-item').forEach((row, index) => {
+        const rule = rules[index];
+        row.querySelector('[data-action="up"]').addEventListener('click', () => moveRule(index, index - 1));
+        row.querySelector('[data-action="down"]').addEventListener('click', () => moveRule(index, index + 1));
+        row.querySelector('[data-action="edit"]').addEventListener('click', () => openRuleModal(rule));
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteRule(rule));
+    });
+}
+
+async function moveRule(from, to) {
+    const ids = rules.map(rule => rule.id);
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    try {
+        const response = await fetch(joinPath('api/rules/order'), {
+            ...fetchConfig,
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+        // 400 means rules were added or removed elsewhere; the reload shows the current list
+        if (response.status !== 400) {
+            await handleFetchResponse(response);
+        }
+        await loadRuleSettings();
+    } catch (error) {
+        console.error('Error reordering rules:', error);
+        toastManager.show('Failed to reorder rules. Please try again.', 'error');
+    }
+}
+
+async function deleteRule(rule) {
+    if (!confirm(`Delete the rule "${describeRule(rule)}"?`)) return;
+    try {
+        const response = await fetch(joinPath(`api/rules/${rule.id}?revision=${rule.revision}`), {
+            ...fetchConfig,
+            method: 'DELETE'
+        });
+        if (await handleConflictResponse(response)) {
+            await loadRuleSettings();
+            return;
+        }
+        await handleFetchResponse(response);
+        toastManager.show('Rule deleted', 'success');
+        await loadRuleSettings();
+    } catch (error) {
+        console.error('Error deleting rule:', error);
+        toastManager.show('Failed to delete rule. Please try again.', 'error');
+    }
+}
+
+// One condition row in the rule form
+function addConditionRow(condition = { field: 'title', operator: 'contains', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'rule-condition';
+    row.innerHTML = `
+        <select class="condition-field" aria-label="Field">
+            <option value="title">Title</option>
+            <option value="amount">Amount</option>
+        </select>
+        <select class="condition-operator" aria-label="Comparison"></select>
+        <input type="text" class="condition-value" aria-label="Value" required>
+        <button type="button" class="export-btn" aria-label="Remove condition">&times;</button>
+    `;
+    const field = row.querySelector('.condition-field');
+    const operator = row.querySelector('.condition-operator');
+    const value = row.querySelector('.condition-value');
+    const syncOperators = () => {
+        operator.innerHTML = RULE_OPERATORS[field.value]
+            .map(([op, label]) => `<option value="${escapeHtml(op)}">${escapeHtml(label)}</option>`)
+            .join('');
+        value.placeholder = field.value === 'amount' ? 'Amount' : 'Text, or a /pattern/ with matches';
+        value.inputMode = field.value === 'amount' ? 'decimal' : 'text';
+    };
+    field.value = condition.field;
+    syncOperators();
+    operator.value = condition.operator;
+    value.value = condition.value;
+    field.addEventListener('change', syncOperators);
+    row.querySelector('button').addEventListener('click', () => {
+        if (document.querySelectorAll('#ruleConditions .rule-condition').length > 1) row.remove();
+    });
+    document.getElementById('ruleConditions').appendChild(row);
+}
+
+function renderRuleCategories(type, selected) {
+    const select = document.getElementById('ruleCategory');
+    select.innerHTML = categoryLists[type]
+        .map(category => `<option value="${escapeHtml(category.name)}">${'\u00A0\u00A0\u00A0'.repeat(category.depth)}${escapeHtml(category.name)}</option>`)
+        .join('');
+    if (categoryLists[type].some(category => category.name === selected)) {
+        select.value = selected;
+    }
+}
+
+// Open the rule form for a new rule, or to edit one
+function openRuleModal(rule = null) {
+    editingRule = rule;
+    document.getElementById('ruleModalTitle').textContent = rule ? 'Edit rule' : 'New rule';
+    document.getElementById('ruleType').value = rule?.type || 'expense';
+    renderRuleCategories(rule?.type || 'expense', rule?.category);
+    document.getElementById('ruleStop').checked = rule ? rule.stop : true;
+    document.getElementById('ruleConditions').innerHTML = '';
+    (rule?.conditions || [undefined]).forEach(condition => addConditionRow(condition));
+    document.getElementById('ruleModal').classList.add('active');
+}
+
+function initRuleModals() {
+    const ruleModal = document.getElementById('ruleModal');
+    const applyModal = document.getElementById('applyRulesModal');
+    if (!ruleModal || !applyModal) return;
+
+    const closeRuleModal = () => {
+        ruleModal.classList.remove('active');
+        editingRule = null;
+    };
+    document.getElementById('addRuleBtn').addEventListener('click', () => openRuleModal());
+    document.getElementById('closeRule').addEventListener('click', closeRuleModal);
+    document.getElementById('addConditionBtn').addEventListener('click', () => addConditionRow());
+    document.getElementById('ruleType').addEventListener('change', (e) => renderRuleCategories(e.target.value));
+
+    document.getElementById('ruleForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const rule = {
+            type: document.getElementById('ruleType').value,
+            conditions: [...document.querySelectorAll('#ruleConditions .rule-condition')].map(row => ({
+                field: row.querySelector('.condition-field').value,
+                operator: row.querySelector('.condition-operator').value,
+                value: row.querySelector('.condition-value').value
+            })),
+            category: document.getElementById('ruleCategory').value,
+            stop: document.getElementById('ruleStop').checked
+        };
+        try {
+            const response = await fetch(joinPath(editingRule ? `api/rules/${editingRule.id}` : 'api/rules'), {
+                ...fetchConfig,
+                method: editingRule ? 'PUT' : 'POST',
+                body: JSON.stringify(editingRule ? { ...rule, revision: editingRule.revision } : rule)
+            });
+            if (await handleConflictResponse(response)) {
+                closeRuleModal();
+                await loadRuleSettings();
+                return;
+            }
+            if (response.status === 400) {
+                const { error } = await response.json();
+                toastManager.show(error, 'error');
+                return;
+            }
+            await handleFetchResponse(response);
+            toastManager.show('Rule saved', 'success');
+            closeRuleModal();
+            await loadRuleSettings();
+        } catch (error) {
+            console.error('Error saving rule:', error);
+            toastManager.show('Failed to save rule. Please try again.', 'error');
+        }
+    });
+
+    // Re-apply: preview the category changes over a date range, then apply the ones left checked
+    const confirmBtn = document.getElementById('confirmApplyRulesBtn');
+    const closeApplyModal = () => {
+        applyModal.classList.remove('active');
+        document.getElementById('ruleChangesSection').style.display = 'none';
+        confirmBtn.disabled = true;
+    };
+    const applyRange = () => ({
+        start: document.getElementById('applyRulesStart').value,
+        end: document.getElementById('applyRulesEnd').value
+    });
+    document.getElementById('applyRulesBtn').addEventListener('click', () => {
+        // Start from the range shown on the main page
+        document.getElementById('applyRulesStart').value = document.getElementById('startDate').value;
+        document.getElementById('applyRulesEnd').value = document.getElementById('endDate').value;
+        applyModal.classList.add('active');
+    });
+    document.getElementById('closeApplyRules').addEventListener('click', closeApplyModal);
+
+    document.getElementById('previewRulesBtn').addEventListener('click', async () => {
+        try {
+            const response = await fetch(joinPath('api/rules/apply'), {
+                ...fetchConfig,
+                method: 'POST',
+                body: JSON.stringify(applyRange())
+            });
+            if (response.status === 400) {
+                const { error } = await response.json();
+                toastManager.show(error, 'error');
+                return;
+            }
+            await handleFetchResponse(response);
+            const { changes } = await response.json();
+            document.getElementById('ruleChanges').innerHTML = changes.map(change => `
+                <div class="settings-item import-row" data-id="${escapeHtml(change.id)}">
+                    <input type="checkbox" checked>
+                    <div class="details">
+                        <span>${escapeHtml(change.title)}</span>
+                        <span class="metadata">${escapeHtml(change.date)} · ${escapeHtml(change.from ? categoryLabel(change.from, change.type) : 'No category')} → ${escapeHtml(categoryLabel(change.to, change.type))}</span>
+                    </div>
+                    <span class="amount ${change.type}">${formatCurrency(change.type === 'expense' ? -change.amount : change.amount)}</span>
+                </div>`).join('') || '<div class="settings-empty">The rules don\'t change any category in this range</div>';
+            document.getElementById('ruleChangesSummary').textContent = `${changes.length} change${changes.length === 1 ? '' : 's'}`;
+            document.getElementById('ruleChangesSection').style.display = '';
+            confirmBtn.disabled = changes.length === 0;
+        } catch (error) {
+            console.error('Error previewing rules:', error);
+            toastManager.show('Failed to preview rules. Please try again.', 'error');
+        }
+    });
+
+    confirmBtn.addEventListener('click', async () => {
+        const skip = [...document.querySelectorAll('#ruleChanges .import-row')]
+            .filter(row => !row.querySelector('input[type="checkbox"]').checked)
+            .map(row => row.dataset.id);
+        try {
+            const response = await fetch(joinPath('api/rules/apply'), {
+                ...fetchConfig,
+                method: 'POST',
+                body: JSON.stringify({ ...applyRange(), commit: true, skip })
+            });
+            await handleFetchResponse(response);
+            const { updated } = await response.json();
+            toastManager.show(`Updated ${updated} transaction${updated === 1 ? '' : 's'}`, 'success');
+            closeApplyModal();
+            await loadTransactions();
+            await updateTotals();
+        } catch (error) {
+            console.error('Error applying rules:', error);
+            toastManager.show('Failed to apply rules. Please try again.', 'error');
+        }
+    });
+
+    for (const [modal, close] of [[ruleModal, closeRuleModal], [applyModal, closeApplyModal]]) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+    }
+}
+
+// Subscription links for the .ics feed; calendar apps need the full URL including the token
+async function loadCalendarFeed() {
+    const feedList = document.getElementById('calendarFeedList');
+    try {
+        const response = await fetch(joinPath('api/calendar/feed'), fetchConfig);
+        await handleFetchResponse(response);
+        const { enabled, token } = await response.json();
+
+        if (!enabled) {
+            feedList.innerHTML = '<div class="settings-empty">Set CALENDAR_FEED_TOKEN to subscribe to your transactions from a calendar app</div>';
+            return;
+        }
+
+        const feedUrl = new URL(joinPath('api/calendar/feed.ics'), window.location.href);
+        feedUrl.searchParams.set('token', token);
+        const feeds = [
+            { label: 'All transactions', type: null },
+            { label: 'Expenses only', type: 'expense' },
+            { label: 'Income only', type: 'income' }
+        ].map(feed => {
+            const url = new URL(feedUrl);
+            if (feed.type) url.searchParams.set('type', feed.type);
+            return { ...feed, url: url.toString() };
+        });
+
+        feedList.innerHTML = feeds.map(feed => `
+            <div class="settings-item" data-url="${escapeHtml(feed.url)}">
+                <div class="details">
+                    <span>${escapeHtml(feed.label)}</span>
+                </div>
+                <div class="actions">
+                    <button type="button" class="export-btn copy-feed-url">Copy link</button>
+                </div>
+            </div>
+        `).join('');
+
+        feedList.querySelectorAll('.copy-feed-url').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(btn.closest('.settings-item').dataset.url);
+                    toastManager.show('Feed link copied!', 'success');
+                } catch (error) {
+                    console.error('Error copying feed link:', error);
+                    toastManager.show('Failed to copy the link. Please try again.', 'error');
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error loading calendar feed:', error);
+        feedList.innerHTML = '<div class="settings-empty">Failed to load calendar feed</div>';
+    }
+}
+
+// Recurring series manager
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "every 2 week on tuesday" -> "Every 2 weeks on Tuesday"; RRULEs are shown as written
+function describePattern(pattern) {
+    const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+    const monthDay = pattern.match(/^every (\d+)(?:st|nd|rd|th) of the month$/);
+    if (monthDay) {
+        return `Monthly on the ${monthDay[1]}${getDaySuffix(parseInt(monthDay[1], 10))}`;
+    }
+    const regular = pattern.match(/^every (\d+) (day|week|month|year)s?(?: on (\w+))?$/);
+    if (regular) {
+        const [, interval, unit, weekday] = regular;
+        const every = interval === '1' ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+        return weekday && WEEKDAY_NAMES.includes(weekday) ? `${every} on ${capitalize(weekday)}` : every;
+    }
+    return pattern.replace(/^RRULE:/i, '');
+}
+
+function initRecurringModal() {
+    const modal = document.getElementById('recurringModal');
+    if (!modal) return;
+
+    const closeModal = () => modal.classList.remove('active');
+    document.getElementById('recurringBtn').addEventListener('click', () => {
+        modal.classList.add('active');
+        loadRecurringSeries();
+    });
+    document.getElementById('closeRecurring').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
+        }
+    });
+}
+
+// Run a pause, resume or end request for a series, then refresh everything that shows its occurrences
+async function updateRecurringSeries(series, action) {
+    try {
+        const response = await fetch(joinPath(`api/recurring/${series.id}/${action}`), {
+            ...fetchConfig,
+            method: 'POST',
+            body: JSON.stringify({ revision: series.revision })
+        });
+        if (await handleConflictResponse(response)) {
+            await loadRecurringSeries();
+            return;
+        }
+        if (response.status === 400) {
+            const { error } = await response.json();
+            toastManager.show(error, 'error');
+            return;
+        }
+        await handleFetchResponse(response);
+        const messages = { pause: 'paused', resume: 'resumed', end: 'ended' };
+        toastManager.show(`${series.title} ${messages[action]}`, 'success');
+        await loadRecurringSeries();
+        await loadTransactions();
+        await updateTotals();
+    } catch (error) {
+        console.error(`Error updating recurring transaction (${action}):`, error);
+        toastManager.show('Failed to update recurring transaction. Please try again.', 'error');
+    }
+}
+
+async function loadRecurringSeries() {
+    const list = document.getElementById('recurringList');
+    const summary = document.getElementById('recurringSummary');
+    try {
+        const response = await fetch(joinPath('api/recurring'), fetchConfig);
+        await handleFetchResponse(response);
+        const { series, monthlyIncome, monthlyExpenses } = await response.json();
+
+        summary.textContent = `Per month: -${formatCurrency(monthlyExpenses)} · +${formatCurrency(monthlyIncome)}`;
+        if (series.length === 0) {
+            list.innerHTML = '<div class="settings-empty">No recurring transactions yet</div>';
+            return;
+        }
+
+        const statusLabels = { active: '', paused: 'Paused', ended: 'Ended' };
+        list.innerHTML = series.map(item => {
+            const sign = item.type === 'expense' ? '-' : '+';
+            const details = [
+                describePattern(item.recurring.pattern),
+                item.nextOccurrence ? `Next ${formatShortDate(item.nextOccurrence)}` : null,
+                item.endDate ? `Ends ${formatShortDate(item.endDate)}` : null,
+                item.status === 'paused' && item.pausedUntil ? `Paused until ${formatShortDate(item.pausedUntil)}` : null
+            ].filter(Boolean).join(' · ');
+            return `
+            <div class="settings-item recurring-series ${item.status}" data-id="${escapeHtml(item.id)}">
+                <div class="details">
+                    <span>${escapeHtml(item.title)} ${statusLabels[item.status] ? `<span class="recurring-status">${statusLabels[item.status]}</span>` : ''}</span>
+                    <span class="metadata">${escapeHtml(details)}</span>
+                    <span class="metadata">${sign}${formatCurrency(item.amount)} each · about ${sign}${formatCurrency(item.monthlyAmount)} a month</span>
+                </div>
+                <div class="actions">
+                    ${item.status === 'paused'
+                        ? '<button type="button" class="export-btn" data-action="resume">Resume</button>'
+                        : `<button type="button" class="export-btn" data-action="pause" ${item.status === 'ended' ? 'disabled' : ''}>Pause</button>`}
+                    <button type="button" class="export-btn" data-action="end" ${item.status === 'ended' ? 'disabled' : ''}>End today</button>
+                </div>
+            </div>`;
+        }).join('');
+
+        list.querySelectorAll('.recurring-series').forEach(row => {
+            const item = series.find(s => s.id === row.dataset.id);
+            row.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const action = btn.dataset.action;
+                    if (action === 'end' && !confirm(`End ${item.title} today? Past occurrences are kept.`)) return;
+                    updateRecurringSeries(item, action);
+                });
+            });
+        });
+    } catch (error) {
+        console.error('Error loading recurring transactions:', error);
+        list.innerHTML = '<div class="settings-empty">Failed to load recurring transactions</div>';
+    }
+}
+
+// Budgets: spent versus budget on the dashboard, managed in the budgets modal
+let editingBudget = null; // budget being edited in the budgets modal, null when adding
+
+// "2025-08" -> "8/2025"
+function formatMonth(month) {
+    const [year, number] = month.split('-');
+    return `${parseInt(number)}/${year}`;
+}
+
+async function loadBudgetSummary() {
+    const list = document.getElementById('budgetList');
+    if (!list) return;
+
+    try {
+        const startDate = document.getElementById('startDate').value;
+        const endDate = document.getElementById('endDate').value;
+        const response = await fetch(joinPath(`api/budgets/summary?start=${startDate}&end=${endDate}`), fetchConfig);
+        await handleFetchResponse(response);
+        const { budgets, unbudgeted } = await response.json();
+
+        if (budgets.length === 0) {
+            list.innerHTML = '<div class="settings-empty">No budgets yet. Use Manage to set a monthly limit per category.</div>';
+            return;
+        }
+
+        list.innerHTML = budgets.map(budget => {
+            const available = budget.budgeted + budget.carryover;
+            const percent = available > 0 ? Math.min(100, (budget.spent / available) * 100) : 100;
+            const over = budget.remaining < 0;
+            const details = [
+                over ? `${formatCurrency(-budget.remaining)} over` : `${formatCurrency(budget.remaining)} left`,
+                budget.carryover !== 0 ? `${formatCurrency(budget.carryover)} carried over` : null
+            ].filter(Boolean).join(' · ');
+            return `
+            <div class="budget-item ${over ? 'over' : ''}">
+                <div class="budget-heading">
+                    <span class="title">${escapeHtml(budget.category)}</span>
+                    <span>${formatCurrency(budget.spent)} of ${formatCurrency(available)}</span>
+                </div>
+                <div class="budget-bar"><div class="budget-fill" style="width: ${percent.toFixed(1)}%"></div></div>
+                <div class="metadata">${details}</div>
+            </div>`;
+        }).join('') + (unbudgeted.length > 0
+            ? `<div class="budget-unbudgeted">Not budgeted: ${unbudgeted
+                .map(entry => `${escapeHtml(entry.category)} ${formatCurrency(entry.spent)}`).join(' · ')}</div>`
+            : '');
+    } catch (error) {
+        console.error('Error loading budgets:', error);
+        list.innerHTML = '<div class="settings-empty">Failed to load budgets</div>';
+    }
+}
+
+function initBudgetModal() {
+    const modal = document.getElementById('budgetModal');
+    if (!modal) return;
+
+    const closeModal = () => {
+        modal.classList.remove('active');
+        resetBudgetForm();
+    };
+    document.getElementById('manageBudgetsBtn').addEventListener('click', () => {
+        // Suggest the expense categories
+        document.getElementById('budgetCategories').innerHTML = categoryLists.expense
+            .map(category => `<option value="${escapeHtml(category.name)}"></option>`)
+            .join('');
+        modal.classList.add('active');
+        loadBudgets();
+    });
+    document.getElementById('closeBudgets').addEventListener('click', closeModal);
+    document.getElementById('cancelBudgetBtn').addEventListener('click', resetBudgetForm);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
+        }
+    });
+
+    document.getElementById('budgetForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const budget = {
+            category: document.getElementById('budgetCategory').value,
+            amount: document.getElementById('budgetAmount').value,
+            rollover: document.getElementById('budgetRollover').checked
+        };
+        try {
+            const response = await fetch(joinPath(editingBudget ? `api/budgets/${editingBudget.id}` : 'api/budgets'), {
+                ...fetchConfig,
+                method: editingBudget ? 'PUT' : 'POST',
+                body: JSON.stringify(editingBudget ? { ...budget, revision: editingBudget.revision } : budget)
+            });
+            if (await handleConflictResponse(response)) {
+                resetBudgetForm();
+                await loadBudgets();
+                return;
+            }
+            if (response.status === 400) {
+                const { error } = await response.json();
+                toastManager.show(error, 'error');
+                return;
+            }
+            await handleFetchResponse(response);
+            toastManager.show(`Budget for ${budget.category} saved`, 'success');
+            resetBudgetForm();
+            await loadBudgets();
+            await loadBudgetSummary();
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            toastManager.show('Failed to save budget. Please try again.', 'error');
+        }
+    });
+}
+
+function resetBudgetForm() {
+    editingBudget = null;
+    document.getElementById('budgetForm').reset();
+    document.getElementById('saveBudgetBtn').textContent = 'Add';
+    document.getElementById('cancelBudgetBtn').style.display = 'none';
+}
+
+function editBudget(budget) {
+    editingBudget = budget;
+    document.getElementById('budgetCategory').value = budget.category;
+    document.getElementById('budgetAmount').value = budget.amount;
+    document.getElementById('budgetRollover').checked = budget.rollover;
+    document.getElementById('saveBudgetBtn').textContent = 'Save';
+    document.getElementById('cancelBudgetBtn').style.display = '';
+}
+
+async function deleteBudget(budget) {
+    if (!confirm(`Delete the budget for ${budget.category}?`)) return;
+    try {
+        const response = await fetch(joinPath(`api/budgets/${budget.id}?revision=${budget.revision}`), {
+            ...fetchConfig,
+            method: 'DELETE'
+        });
+        if (await handleConflictResponse(response)) {
+            await loadBudgets();
+            return;
+        }
+        await handleFetchResponse(response);
+        toastManager.show(`Budget for ${budget.category} deleted`, 'success');
+        if (editingBudget?.id === budget.id) resetBudgetForm();
+        await loadBudgets();
+        await loadBudgetSummary();
+    } catch (error) {
+        console.error('Error deleting budget:', error);
+        toastManager.show('Failed to delete budget. Please try again.', 'error');
+    }
+}
+
+async function loadBudgets() {
+    const list = document.getElementById('budgetsList');
+    try {
+        const response = await fetch(joinPath('api/budgets'), fetchConfig);
+        await handleFetchResponse(response);
+        const budgets = await response.json();
+
+        if (budgets.length === 0) {
+            list.innerHTML = '<div class="settings-empty">No budgets yet</div>';
+            return;
+        }
+
+        list.innerHTML = budgets.map(budget => `
+            <div class="settings-item" data-id="${escapeHtml(budget.id)}">
+                <div class="details">
+                    <span>${escapeHtml(budget.category)}</span>
+                    <span class="metadata">${formatCurrency(budget.amount)} a month${budget.rollover
+                        ? ` · carries over since ${formatMonth(budget.rolloverStart)}`
+                        : ''}</span>
+                </div>
+                <div class="actions">
+                    <button type="button" class="export-btn" data-action="edit">Edit</button>
+                    <button type="button" class="export-btn" data-action="delete">Delete</button>
+                </div>
+            </div>`).join('');
+
+        list.querySelectorAll('.settings-item').forEach(row => {
+            const budget = budgets.find(b => b.id === row.dataset.id);
+            row.querySelector('[data-action="edit"]').addEventListener('click', () => editBudget(budget));
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteBudget(budget));
+        });
+    } catch (error) {
+        console.error('Error loading budgets:', error);
+        list.innerHTML = '<div class="settings-empty">Failed to load budgets</div>';
+    }
+}
+
+// Import modal
+const IMPORT_FIELDS = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'title', label: 'Title', required: true },
+    { key: 'amount', label: 'Amount', required: true },
+    { key: 'type', label: 'Type', emptyLabel: 'Use amount sign' },
+    { key: 'category', label: 'Category', emptyLabel: 'None' }
+];
+const IMPORT_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+let importState = null; // { format, content, mapping, ...last preview response }
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function initImportModal() {
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+
+    const fileInput = document.getElementById('importFile');
+    const closeModal = () => {
+        modal.classList.remove('active');
+        importState = null;
+        fileInput.value = '';
+        document.getElementById('importMappingSection').style.display = 'none';
+        document.getElementById('importPreviewSection').style.display = 'none';
+        document.getElementById('confirmImportBtn').disabled = true;
+    };
+
+    document.getElementById('importBtn').addEventListener('click', () => modal.classList.add('active'));
+    document.getElementById('closeImport').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
+        }
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        const content = await file.text();
+        const isOfx = /\.(ofx|qfx)$/i.test(file.name) || /^\s*(OFXHEADER|<\?xml[^>]*>\s*<\?OFX)/i.test(content);
+        importState = { format: isOfx ? 'ofx' : 'csv', content, mapping: {} };
+        await previewImport();
+    });
+
+    document.getElementById('confirmImportBtn').addEventListener('click', async () => {
+        if (!importState) return;
+        const skipRows = [...document.querySelectorAll('#importRows .import-row')]
+            .filter(row => !row.querySelector('input[type="checkbox"]').checked)
+            .map(row => parseInt(row.dataset.row, 10));
+
+        try {
+            const response = await sendImportRequest({ commit: true, skipRows });
+            if (!response) return;
+            const { imported } = await response.json();
+            toastManager.show(`Imported ${imported} transaction${imported === 1 ? '' : 's'}!`, 'success');
+            closeModal();
+            await loadTransactions();
+            await updateTotals();
+            // Imported rows can bring new categories
+            await loadCategories();
+        } catch (error) {
+            console.error('Error importing transactions:', error);
+            toastManager.show('Failed to import transactions. Please try again.', 'error');
+        }
+    });
+}
+
+// Post the selected file (and the column mapping for CSV); 400 responses are shown as a toast
+async function sendImportRequest(options = {}) {
+    const body = importState.format === 'ofx'
+        ? { ofx: importState.content, ...options }
+        : { csv: importState.content, mapping: importState.mapping, ...options };
+    const response = await fetch(joinPath(`api/import/${importState.format}`), {
+        ...fetchConfig,
+        method: 'POST',
+        body: JSON.stringify(body)
+    });
+    if (response.status === 400) {
+        const data = await response.json().catch(() => ({}));
+        toastManager.show(data.error || 'The file could not be imported.', 'error');
+        return null;
+    }
+    return handleFetchResponse(response);
+}
+
+async function previewImport() {
+    try {
+        const response = await sendImportRequest();
+        if (!response) return;
+        const preview = await response.json();
+        importState = { ...importState, ...preview };
+        if (importState.format === 'csv') {
+            renderImportMapping();
+        } else {
+            document.getElementById('importMappingSection').style.display = 'none';
+        }
+        renderImportPreview();
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        toastManager.show('Failed to read the file. Please try again.', 'error');
+    }
+}
+
+function renderImportMapping() {
+    const container = document.getElementById('importMapping');
+    const { headers, mapping } = importState;
+    const columnOptions = (selected, emptyLabel) => [
+        `<option value="">${emptyLabel}</option>`,
+        ...headers.map((header, index) =>
+            `<option value="${index}" ${selected === index ? 'selected' : ''}>${escapeHtml(header)}</option>`)
+    ].join('');
+
+    container.innerHTML = [
+        ...IMPORT_FIELDS.map(field => `
+            <label>${field.label}
+                <select data-field="${field.key}">${columnOptions(mapping[field.key], field.emptyLabel || 'Choose a column')}</select>
+            </label>
+        `),
+        `<label>Date format
+            <select data-field="dateFormat">
+                ${IMPORT_DATE_FORMATS.map(format => `<option ${mapping.dateFormat === format ? 'selected' : ''}>${format}</option>`).join('')}
+            </select>
+        </label>`,
+        `<label class="checkbox"><input type="checkbox" data-field="invertSign" ${mapping.invertSign ? 'checked' : ''}> Negative amounts are income</label>`
+    ].join('');
+
+    container.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('change', () => {
+            const field = input.dataset.field;
+            if (field === 'invertSign') {
+                importState.mapping.invertSign = input.checked;
+            } else if (field === 'dateFormat') {
+                importState.mapping.dateFormat = input.value;
+            } else {
+                importState.mapping[field] = input.value === '' ? null : parseInt(input.value, 10);
+            }
+            previewImport();
+        });
+    });
+
+    document.getElementById('importMappingSection').style.display = '';
+}
+
+function renderImportPreview() {
+    const { rows, summary, missing = [] } = importState;
+    const list = document.getElementById('importRows');
+
+    list.innerHTML = rows.map(row => {
+        let note = row.category ? escapeHtml(row.category) : '';
+        if (row.error) {
+            note = `<span class="warning">${escapeHtml(row.error)}</span>`;
+        } else if (row.alreadyImported) {
+            note = '<span class="warning">Already imported</span>';
+        } else if (row.duplicateOf) {
+            note = `<span class="warning">Possible duplicate of "${escapeHtml(row.duplicateOf.title)}"</span>`;
+        }
+        return `
+            <div class="settings-item import-row ${row.error || row.alreadyImported ? 'has-error' : ''}" data-row="${row.row}">
+                <input type="checkbox" ${row.error || row.alreadyImported ? 'disabled' : ''} ${!row.error && !row.alreadyImported && !row.duplicateOf ? 'checked' : ''}>
+                <div class="details">
+                    <span>${escapeHtml(row.title || '')}</span>
+                    <span class="metadata">${escapeHtml(row.date || '')}${note ? ` · ${note}` : ''}</span>
+                </div>
+                <span class="amount ${row.type || ''}">${row.amount === null ? '' : formatCurrency(row.type === 'expense' ? -row.amount : row.amount)}</span>
+            </div>
+        `;
+    }).join('') || '<div class="settings-empty">No rows found</div>';
+
+    const parts = [`${summary.valid} of ${summary.total} rows`];
+    if (summary.alreadyImported > 0) parts.push(`${summary.alreadyImported} already imported`);
+    if (summary.duplicates > 0) parts.push(`${summary.duplicates} possible duplicates`);
+    if (summary.errors > 0) parts.push(`${summary.errors} with errors`);
+    document.getElementById('importSummary').textContent = missing.length > 0
+        ? `Choose a column for: ${missing.join(', ')}`
+        : parts.join(' · ');
+
+    document.getElementById('confirmImportBtn').disabled = missing.length > 0 || summary.valid === summary.alreadyImported;
+    document.getElementById('importPreviewSection').style.display = '';
+}
+
+// Update the initMainPage function to fetch currency first
+async function initMainPage() {
+    await fetchCurrentCurrency();
+    const mainContainer = document.getElementById('transactionModal');
+    if (!mainContainer) return; // Only run on main page
+
+    // Update currency symbols
+    const currencyInfo = SUPPORTED_CURRENCIES[currentCurrency] || SUPPORTED_CURRENCIES.USD;
+    document.querySelector('.currency-sort-symbol').textContent = currencyInfo.symbol;
+    document.querySelector('.currency-symbol').textContent = currencyInfo.symbol;
+
+    // Update amount placeholder when currency changes
+    const amountInput = document.getElementById('amount');
+    if (amountInput) {
+        amountInput.placeholder = `Amount (${currencyInfo.symbol})`;
+        // Match the input precision to the currency's minor unit (e.g. whole yen for JPY)
+        const decimals = new Intl.NumberFormat(currencyInfo.locale, { style: 'currency', currency: currentCurrency })
+            .resolvedOptions().maximumFractionDigits;
+        amountInput.step = decimals === 0 ? '1' : (1 / 10 ** decimals).toFixed(decimals);
+    }
+
+    const startDateInput = document.getElementById('startDate');
+    const endDateInput = document.getElementById('endDate');
+
+    // Set initial date range to current month
+    const now = new Date();
+    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
+    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+
+    startDateInput.value = firstDay.toISOString().split('T')[0];
+    endDateInput.value = lastDay.toISOString().split('T')[0];
+
+    document.getElementById('forecastMonths').addEventListener('change', loadForecast);
+
+    // Add event listeners for date changes
+    startDateInput.addEventListener('change', () => {
+        if (startDateInput.value > endDateInput.value) {
+            endDateInput.value = startDateInput.value;
+        }
+        loadTransactions();
+        updateTotals();
+    });
+
+    endDateInput.addEventListener('change', () => {
+        if (endDateInput.value < startDateInput.value) {
+            startDateInput.value = endDateInput.value;
+        }
+        loadTransactions();
+        updateTotals();
+    });
+
+    // Export to CSV
+    document.getElementById('exportBtn').addEventListener('click', async () => {
+        try {
+            const startDate = document.getElementById('startDate').value;
+            const endDate = document.getElementById('endDate').value;
+            const response = await fetch(joinPath(`api/export/range?start=${startDate}&end=${endDate}`), {
+                ...fetchConfig,
+                method: 'GET'
+            });
+            
+            // Use the same response handler as other requests
+            const handledResponse = await handleFetchResponse(response);
+            if (!handledResponse) return;
+            
+            const blob = await handledResponse.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `transactions-${startDate}-to-${endDate}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            console.error('Error exporting transactions:', error);
+            alert('Failed to export transactions. Please try again.');
+        }
+    });
+
+    // Export to a plain-text accounting journal (ledger, hledger or beancount)
+    const journalFormatSelect = document.getElementById('exportJournalFormat');
+    journalFormatSelect.addEventListener('change', async () => {
+        const format = journalFormatSelect.value;
+        if (!format) return;
+        const extensions = { ledger: 'ledger', hledger: 'journal', beancount: 'beancount' };
+
+        try {
+            const startDate = document.getElementById('startDate').value;
+            const endDate = document.getElementById('endDate').value;
+            const response = await fetch(joinPath(`api/export/range?start=${startDate}&end=${endDate}&format=${format}`), {
+                ...fetchConfig,
+                method: 'GET'
+            });
+
+            const handledResponse = await handleFetchResponse(response);
+            if (!handledResponse) return;
+
+            const blob = await handledResponse.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `transactions-${startDate}-to-${endDate}.${extensions[format]}`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            console.error('Error exporting journal:', error);
+            toastManager.show('Failed to export transactions. Please try again.', 'error');
+        } finally {
+            journalFormatSelect.value = '';
+        }
+    });
+
+    // Export to PDF
+    document.getElementById('exportPdfBtn').addEventListener('click', async () => {
+        try {
+            const startDate = document.getElementById('startDate').value;
+            const endDate = document.getElementById('endDate').value;
+            
+            // Get instance name from server
+            const configResponse = await fetch(joinPath('api/config'), fetchConfig);
+            await handleFetchResponse(configResponse);
+            const config = await configResponse.json();
+            const instanceName = config.instanceName || 'DumbBudget';
+            
+            // Get the current totals
+            const response = await fetch(joinPath(`api/totals/range?start=${startDate}&end=${endDate}`), fetchConfig);
+            await handleFetchResponse(response);
+            const totals = await response.json();
+            
+            // Get transactions
+            const transactionsResponse = await fetch(joinPath(`api/transactions/range?start=${startDate}&end=${endDate}`), fetchConfig);
+            await handleFetchResponse(transactionsResponse);
+            const transactions = await transactionsResponse.json();
+            
+            // Create PDF
             const { jsPDF } = window.jspdf;
             const doc = new jsPDF();
             
@@ -1045,17 +2774,39 @@ async function initMainPage() {
             doc.text(`Total Expenses: ${formatCurrency(totals.expenses)}`, 20, 65);
             doc.text(`Balance: ${formatCurrency(totals.balance)}`, 20, 75);
             
+            // Add totals per income and expense category; parents include their subcategories
+            let tableStart = 85;
+            const categoryTables = [
+                { heading: 'Income category', rows: totals.incomeCategories },
+                { heading: 'Expense category', rows: totals.categories }
+            ];
+            for (const { heading, rows } of categoryTables.filter(table => table.rows.length > 0)) {
+                doc.autoTable({
+                    startY: tableStart,
+                    head: [[heading, 'Amount', 'With subcategories']],
+                    body: rows.map(c => [
+                        '    '.repeat(c.depth) + c.name,
+                        formatCurrency(c.amount),
+                        formatCurrency(c.total)
+                    ]),
+                    theme: 'grid',
+                    headStyles: { fillColor: [66, 66, 66] },
+                    styles: { fontSize: 10 }
+                });
+                tableStart = doc.lastAutoTable.finalY + 10;
+            }
+            
             // Add transactions table
             const tableData = transactions.map(t => [
                 t.date,
                 t.title,
-                t.category || '-',
+                t.category ? categoryLabel(t.category, t.type) : '-',
                 formatCurrency(t.type === 'expense' ? -t.amount : t.amount),
                 t.type
             ]);
             
             doc.autoTable({
-                startY: 85,
+                startY: tableStart,
                 head: [['Date', 'Title', 'Category', 'Amount', 'Type']],
                 body: tableData,
                 theme: 'grid',
@@ -1153,6 +2904,11 @@ const registerServiceWorker = () => {
     } else {
         // Only initialize main page functionality when not on login
         initModalHandling();
+        initSettingsModal();
+        initImportModal();
+        initRecurringModal();
+        initBudgetModal();
+        initRuleModals();
         initMainPage();
     }
 
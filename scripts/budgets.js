@@ -0,0 +1,105 @@
+// Monthly budgets per expense category. A budget's amount is the limit for every month. With
+// rollover, what is left of each month (or the overspend) carries into the next one, counting from
+// the budget's rolloverStart month. A budget for a parent category also covers its subcategories.
+// Amounts are integer minor units throughout.
+
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function isMonthString(value) {
+    return typeof value === 'string' && MONTH.test(value);
+}
+
+function nextMonth(month) {
+    const [year, number] = month.split('-').map(Number);
+    return number === 12 ? `${year + 1}-01` : `${year}-${String(number + 1).padStart(2, '0')}`;
+}
+
+// Months from first to last, inclusive
+function monthsBetween(first, last) {
+    const months = [];
+    for (let month = first; month <= last; month = nextMonth(month)) {
+        months.push(month);
+    }
+    return months;
+}
+
+// First day of the earliest month the summary needs spending for: the range start, or an earlier
+// rolloverStart so the carryover into the range can be worked out
+function spendingStart(budgets, start) {
+    return budgets
+        .filter(budget => budget.rollover && budget.rolloverStart)
+        .map(budget => `${budget.rolloverStart}-01`)
+        .reduce((earliest, date) => (date < earliest ? date : earliest), start);
+}
+
+// Expenses by category and month, each counted in its category and every parent of it:
+// Map category -> Map month -> amount
+function spendingByMonth(transactions, pathOf) {
+    const spending = new Map();
+    for (const transaction of transactions) {
+        if (transaction.type !== 'expense' || !transaction.category) continue;
+        const month = transaction.date.slice(0, 7);
+        for (const category of pathOf(transaction.category)) {
+            const months = spending.get(category) || new Map();
+            months.set(month, (months.get(month) || 0) + transaction.amount);
+            spending.set(category, months);
+        }
+    }
+    return spending;
+}
+
+// What is left over (negative when overspent) from rolloverStart up to, not including, month
+function carryoverInto(budget, month, spending) {
+    if (!budget.rollover || !budget.rolloverStart || budget.rolloverStart >= month) return 0;
+    const spent = spending.get(budget.category) || new Map();
+    return monthsBetween(budget.rolloverStart, month)
+        .slice(0, -1)
+        .reduce((carry, previous) => carry + budget.amount - (spent.get(previous) || 0), 0);
+}
+
+// Spent versus budget for each budget over the range start..end (inclusive dates). Each month the
+// range touches adds the monthly amount; spending only counts transactions dated within the range.
+// transactions must cover spendingStart(budgets, start) through end. pathOf maps a category name to
+// its path from the top level (see categoryPaths); unbudgeted lists spending in categories not
+// covered by any budget.
+function summarizeBudgets(budgets, transactions, { start, end, pathOf = (name) => [name] }) {
+    const months = monthsBetween(start.slice(0, 7), end.slice(0, 7));
+    const inRange = transactions.filter(t => t.date >= start && t.date <= end);
+    const spending = spendingByMonth(transactions, pathOf);
+    const spentInRange = new Map([...spendingByMonth(inRange, pathOf)].map(([category, byMonth]) =>
+        [category, [...byMonth.values()].reduce((sum, amount) => sum + amount, 0)]
+    ));
+
+    const summaries = budgets.map(budget => {
+        const budgeted = budget.amount * months.length;
+        const carryover = carryoverInto(budget, months[0], spending);
+        const spent = spentInRange.get(budget.category) || 0;
+        return { ...budget, budgeted, carryover, spent, remaining: budgeted + carryover - spent };
+    });
+
+    const budgetedCategories = new Set(budgets.map(budget => budget.category));
+    const notCovered = new Map();
+    for (const transaction of inRange) {
+        if (transaction.type !== 'expense' || !transaction.category) continue;
+        if (pathOf(transaction.category).some(category => budgetedCategories.has(category))) continue;
+        notCovered.set(transaction.category, (notCovered.get(transaction.category) || 0) + transaction.amount);
+    }
+    const unbudgeted = [...notCovered]
+        .map(([category, spent]) => ({ category, spent }))
+        .sort((a, b) => b.spent - a.spent);
+
+    return { months: months.length, budgets: summaries, unbudgeted };
+}
+
+// Follow a category rename or merge. When `to` already has a budget, the budget for `from` is dropped.
+function moveBudget(budgets, from, to) {
+    const index = budgets.findIndex(budget => budget.category === from);
+    if (index === -1) return budgets;
+    if (budgets.some(budget => budget.category === to)) {
+        return budgets.filter((budget, i) => i !== index);
+    }
+    const moved = { ...budgets[index], category: to, revision: (budgets[index].revision || 1) + 1 };
+    return budgets.map((budget, i) => (i === index ? moved : budget)).sort((a, b) => a.category.localeCompare(b.category));
+}
+
+module.exports = { isMonthString, spendingStart, summarizeBudgets, moveBudget };
@@ -0,0 +1,183 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseRRule, expandRRule } = require('./rrule');
+
+// Business-day rules for recurring series: occurrences on a weekend or holiday move to the
+// previous or next business day, or the nearest one (the earlier day when both are as close).
+const BUSINESS_DAY_RULES = ['none', 'previous', 'next', 'nearest'];
+
+// Holiday files in the data directory; either or both may exist
+const HOLIDAY_FILES = ['holidays.ics', 'holidays.json'];
+
+// Give up after this many days in one direction (e.g. a file marking every day as a holiday)
+const MAX_SHIFT = 14;
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// "20251225", "20251225T000000Z" or "2025-12-25" -> "2025-12-25", or null
+function parseIcsDate(value) {
+    const match = (value || '').match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    const date = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    return isValidDate(date) ? date : null;
+}
+
+// Holidays from an iCalendar file: each VEVENT's start date (every day of a multi-day event),
+// plus yearly or other recurring holidays given as an RRULE
+function parseIcsHolidays(text) {
+    const dates = [];
+    const rules = [];
+    // Long lines are folded onto continuation lines that start with a space or tab
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    let event = null;
+    for (const line of lines) {
+        if (/^BEGIN:VEVENT$/i.test(line)) {
+            event = {};
+        } else if (/^END:VEVENT$/i.test(line) && event) {
+            const start = parseIcsDate(event.DTSTART);
+            const end = parseIcsDate(event.DTEND);
+            if (start && event.RRULE) {
+                try {
+                    rules.push({ rule: parseRRule(event.RRULE), start });
+                } catch {
+                    dates.push(start);
+                }
+            } else if (start) {
+                dates.push(start);
+                // DTEND of an all-day event is exclusive
+                for (let date = addDays(start, 1); end && date < end && dates.length < 100000; date = addDays(date, 1)) {
+                    dates.push(date);
+                }
+            }
+            event = null;
+        } else if (event) {
+            const match = line.match(/^([A-Z-]+)(?:;[^:]*)?:(.*)$/i);
+            if (match) event[match[1].toUpperCase()] = match[2].trim();
+        }
+    }
+    return { dates, rules };
+}
+
+// Holidays from JSON: ["2025-12-25", ...] or [{ "date": "2025-12-25", "name": "Christmas Day" }, ...]
+function parseJsonHolidays(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+        throw new Error('holidays.json must be an array of dates or { date, name } objects');
+    }
+    const dates = data.map(entry => (typeof entry === 'string' ? entry : entry?.date));
+    const invalid = dates.find(date => !isValidDate(date));
+    if (invalid !== undefined) {
+        throw new Error(`holidays.json has an invalid date "${invalid}"`);
+    }
+    return { dates, rules: [] };
+}
+
+// Holiday lookup backed by the files in dataDir. refresh() reloads the files when they change,
+// so edits take effect without a restart; a file that can't be read is reported and ignored.
+function createHolidayCalendar(dataDir) {
+    let signature = null;
+    let dates = new Set();
+    let rules = [];
+    // Dates of the repeating holidays, expanded one year at a time: Map<year, Set<date>>
+    let ruleYears = new Map();
+
+    async function refresh() {
+        const found = [];
+        for (const name of HOLIDAY_FILES) {
+            const file = path.join(dataDir, name);
+            try {
+                const stat = await fs.stat(file);
+                found.push({ name, file, mtime: stat.mtimeMs });
+            } catch {
+                // No file of this kind
+            }
+        }
+
+        const nextSignature = found.map(f => `${f.name}:${f.mtime}`).join('|');
+        if (nextSignature === signature) return;
+        signature = nextSignature;
+
+        const nextDates = new Set();
+        const nextRules = [];
+        for (const { name, file } of found) {
+            try {
+                const text = await fs.readFile(file, 'utf8');
+                const parsed = name.endsWith('.ics') ? parseIcsHolidays(text) : parseJsonHolidays(text);
+                parsed.dates.forEach(date => nextDates.add(date));
+                nextRules.push(...parsed.rules);
+            } catch (error) {
+                console.error(`Failed to read holidays from ${name}:`, error.message);
+            }
+        }
+        dates = nextDates;
+        rules = nextRules;
+        ruleYears = new Map();
+    }
+
+    function ruleDatesIn(year) {
+        if (!ruleYears.has(year)) {
+            const yearDates = new Set();
+            for (const { rule, start } of rules) {
+                expandRRule(rule, start, `${year}-01-01`, `${year}-12-31`).forEach(date => yearDates.add(date));
+            }
+            ruleYears.set(year, yearDates);
+        }
+        return ruleYears.get(year);
+    }
+
+    function isHoliday(date) {
+        return dates.has(date) || (rules.length > 0 && ruleDatesIn(date.slice(0, 4)).has(date));
+    }
+
+    return {
+        refresh,
+        isHoliday,
+        get count() {
+            return dates.size + rules.length;
+        }
+    };
+}
+
+function isBusinessDay(date, isHoliday) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !isHoliday(date);
+}
+
+// The closest business day in one direction (step -1 or 1), or null within MAX_SHIFT days
+function shiftToBusinessDay(date, step, isHoliday) {
+    for (let days = 1; days <= MAX_SHIFT; days++) {
+        const candidate = addDays(date, step * days);
+        if (isBusinessDay(candidate, isHoliday)) return candidate;
+    }
+    return null;
+}
+
+// Move date according to rule when it is not a business day
+function adjustToBusinessDay(date, rule, isHoliday) {
+    if (!rule || rule === 'none' || isBusinessDay(date, isHoliday)) return date;
+
+    const previous = rule === 'next' ? null : shiftToBusinessDay(date, -1, isHoliday);
+    const next = rule === 'previous' ? null : shiftToBusinessDay(date, 1, isHoliday);
+    if (rule === 'previous') return previous || date;
+    if (rule === 'next') return next || date;
+    if (!previous || !next) return previous || next || date;
+    return Date.parse(date) - Date.parse(previous) <= Date.parse(next) - Date.parse(date) ? previous : next;
+}
+
+module.exports = {
+    BUSINESS_DAY_RULES,
+    MAX_SHIFT,
+    createHolidayCalendar,
+    adjustToBusinessDay,
+    parseIcsHolidays,
+    parseJsonHolidays
+};
@@ -0,0 +1,163 @@
+// Categories are kept per transaction type, expenses in settings.categories and income in
+// settings.incomeCategories, as [{ name, parent }] in the order they are shown. parent is the name
+// of the parent category (null at the top level), so names are unique across each tree.
+// Transactions store the category name, so renaming or merging rewrites the matching transactions.
+
+const CATEGORY_TYPES = {
+    expense: { setting: 'categories', defaults: ['Bills', 'Food', 'Transport', 'Other'] },
+    income: { setting: 'incomeCategories', defaults: ['Salary', 'Interest', 'Refunds', 'Other'] }
+};
+
+// How a category path is written in exports, e.g. "Food > Groceries"
+const PATH_SEPARATOR = ' > ';
+
+// Apply fn to every stored record in the month-keyed transactions map
+function forEachRecord(transactions, fn) {
+    for (const monthData of Object.values(transactions)) {
+        (monthData?.income || []).forEach(record => fn(record, 'income'));
+        (monthData?.expenses || []).forEach(record => fn(record, 'expense'));
+    }
+}
+
+// Number of stored transactions of the type in each category (a recurring series counts once)
+function countByCategory(transactions, type) {
+    const counts = new Map();
+    forEachRecord(transactions, (record, recordType) => {
+        if (recordType === type && record.category) {
+            counts.set(record.category, (counts.get(record.category) || 0) + 1);
+        }
+    });
+    return counts;
+}
+
+// Categories in tree order: each parent is followed by its children, siblings keep their stored
+// order. Adds path (names from the top level down) and depth. A parent that doesn't exist, or a
+// loop of parents left by a hand edit, puts the category at the top level.
+function treeOrder(categories) {
+    const names = new Set(categories.map(category => category.name));
+    const children = new Map();
+    for (const category of categories) {
+        const parent = category.parent && names.has(category.parent) ? category.parent : null;
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(category);
+    }
+
+    const ordered = [];
+    const visited = new Set();
+    const visit = (category, parent, path) => {
+        visited.add(category.name);
+        const categoryPath = [...path, category.name];
+        ordered.push({ ...category, parent, path: categoryPath, depth: path.length });
+        for (const child of children.get(category.name) || []) {
+            if (!visited.has(child.name)) visit(child, category.name, categoryPath);
+        }
+    };
+    for (const category of children.get(null) || []) {
+        visit(category, null, []);
+    }
+    for (const category of categories) {
+        if (!visited.has(category.name)) visit(category, null, []);
+    }
+    return ordered;
+}
+
+// Categories of a type ('expense' or 'income') in tree order: the stored list (the defaults until
+// one is saved), followed by any other category still used by transactions, e.g. from an import or
+// an older browser-only category. count is the number of transactions in the category itself,
+// total includes its subcategories.
+function listCategories(settings, transactions, type = 'expense') {
+    const { setting, defaults } = CATEGORY_TYPES[type];
+    const stored = settings[setting] || defaults.map(name => ({ name, parent: null }));
+    const counts = countByCategory(transactions, type);
+    const known = new Set(stored.map(category => category.name));
+    const inUse = [...counts.keys()]
+        .filter(name => !known.has(name))
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({ name, parent: null }));
+
+    const ordered = treeOrder([...stored, ...inUse]);
+    const totals = new Map();
+    for (const category of ordered) {
+        const count = counts.get(category.name) || 0;
+        category.path.forEach(name => totals.set(name, (totals.get(name) || 0) + count));
+    }
+    return ordered.map(category => ({
+        ...category,
+        count: counts.get(category.name) || 0,
+        total: totals.get(category.name) || 0
+    }));
+}
+
+// Lookup function from a category name to its path; unknown names are their own one-element path
+function categoryPaths(categories) {
+    const paths = new Map(categories.map(category => [category.name, category.path]));
+    return (name) => paths.get(name) || [name];
+}
+
+function formatCategoryPath(path) {
+    return path.join(PATH_SEPARATOR);
+}
+
+// The category and all of its subcategories, by name
+function subtreeOf(categories, name) {
+    return new Set(categories.filter(category => category.path.includes(name)).map(category => category.name));
+}
+
+// Totals per category of a type in tree order, rolled up: amount is in the category itself, total
+// adds its subcategories. Only categories with transactions in the list are included.
+function categoryTotals(categories, transactions, type = 'expense') {
+    const pathOf = categoryPaths(categories);
+    const own = new Map();
+    const totals = new Map();
+    for (const transaction of transactions) {
+        if (transaction.type !== type || !transaction.category) continue;
+        own.set(transaction.category, (own.get(transaction.category) || 0) + transaction.amount);
+        pathOf(transaction.category).forEach(name => totals.set(name, (totals.get(name) || 0) + transaction.amount));
+    }
+    return categories
+        .filter(category => totals.has(category.name))
+        .map(category => ({
+            name: category.name,
+            path: category.path,
+            depth: category.depth,
+            amount: own.get(category.name) || 0,
+            total: totals.get(category.name)
+        }));
+}
+
+// Move every transaction of the type (and per-occurrence override) in category `from` to category
+// `to`. Changed records get a new revision so stale edits are caught. Returns the number of records
+// changed.
+function moveTransactions(transactions, from, to, type = 'expense') {
+    let changed = 0;
+    forEachRecord(transactions, (record, recordType) => {
+        if (recordType !== type) return;
+        let touched = false;
+        if (record.category === from) {
+            record.category = to;
+            touched = true;
+        }
+        for (const exception of Object.values(record.recurring?.exceptions || {})) {
+            if (exception.category === from) {
+                exception.category = to;
+                touched = true;
+            }
+        }
+        if (touched) {
+            record.revision = (record.revision || 1) + 1;
+            changed++;
+        }
+    });
+    return changed;
+}
+
+module.exports = {
+    CATEGORY_TYPES,
+    PATH_SEPARATOR,
+    listCategories,
+    categoryPaths,
+    formatCategoryPath,
+    subtreeOf,
+    categoryTotals,
+    moveTransactions
+};
@@ -0,0 +1,111 @@
+const { getCurrencyDecimals, fromMinorUnits } = require('../money');
+
+// iCalendar (RFC 5545) feed for calendar apps. Every transaction is an all-day event whose summary
+// carries the title and signed amount; recurring series are a single event with an RRULE.
+
+// Text values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space.
+// Characters are never split, so multi-byte UTF-8 stays intact.
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// "2025-03-01" -> "20250301"
+function icsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function nextDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+}
+
+// Amount with the currency code, e.g. "12.50 USD"
+function formatAmount(transaction, currency) {
+    const decimals = getCurrencyDecimals(currency);
+    return `${fromMinorUnits(transaction.amount, currency).toFixed(decimals)} ${currency}`;
+}
+
+function eventLines(entry, { currency, stamp }) {
+    const { transaction } = entry;
+    const amount = formatAmount(transaction, currency);
+    // The summary shows expenses as negative and income as positive amounts
+    const signed = `${transaction.type === 'income' ? '+' : '-'}${amount}`;
+    const description = [
+        `${transaction.type === 'income' ? 'Income' : 'Expense'}: ${amount}`,
+        transaction.category ? `Category: ${transaction.category}` : null,
+        transaction.status === 'pending' ? 'Waiting to be confirmed' : null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${entry.uid}@dumbbudget`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(transaction.date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDate(transaction.date))}`
+    ];
+    if (entry.recurrenceId) {
+        lines.push(`RECURRENCE-ID;VALUE=DATE:${icsDate(entry.recurrenceId)}`);
+    }
+    if (entry.rrule) {
+        lines.push(`RRULE:${entry.rrule}`);
+    }
+    if (entry.exdates?.length > 0) {
+        lines.push(`EXDATE;VALUE=DATE:${entry.exdates.map(icsDate).join(',')}`);
+    }
+    lines.push(`SUMMARY:${escapeText(`${transaction.title} (${signed})`)}`);
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (transaction.category) {
+        lines.push(`CATEGORIES:${escapeText(transaction.category)}`);
+    }
+    if (transaction.status === 'pending') {
+        lines.push('STATUS:TENTATIVE');
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+}
+
+// Build a calendar from entries of the form
+// { uid, transaction (internal shape: integer amount plus type), rrule?, exdates?, recurrenceId? }.
+// Entries with a recurrenceId replace that occurrence of the series with the same uid.
+function toICalendar(entries, { name, currency, now = new Date() }) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//DumbWare//DumbBudget//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    for (const entry of entries) {
+        lines.push(...eventLines(entry, { currency, stamp }));
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { toICalendar };
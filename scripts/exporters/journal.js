@@ -0,0 +1,81 @@
+const { getCurrencyDecimals } = require('../money');
+
+// Plain-text accounting journals. Every transaction becomes two balanced postings:
+// an Expenses:<Category> or Income:<Category> account against the asset account.
+// Subcategories become sub-accounts, e.g. Expenses:Food:Groceries.
+// Ledger and hledger read the same syntax; beancount needs quoted narrations and open directives.
+const JOURNAL_FORMATS = {
+    ledger: { extension: 'ledger' },
+    hledger: { extension: 'journal' },
+    beancount: { extension: 'beancount' }
+};
+
+// Valid in all three tools: capitalised components of letters, digits and dashes
+const ACCOUNT_PATTERN = /^(Assets|Liabilities)(:[\p{Lu}\p{N}][\p{L}\p{N}-]*)+$/u;
+
+function isValidAssetAccount(account) {
+    return typeof account === 'string' && ACCOUNT_PATTERN.test(account);
+}
+
+// "eating out" -> "Eating-Out"; empty or unusable names become "Other"
+function accountComponent(name) {
+    const words = String(name || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length === 0) return 'Other';
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('-');
+}
+
+function categoryAccount(transaction, categoryPath) {
+    const root = transaction.type === 'income' ? 'Income' : 'Expenses';
+    const path = transaction.category ? categoryPath(transaction.category, transaction.type) : [transaction.category];
+    return [root, ...path.map(accountComponent)].join(':');
+}
+
+// Integer minor units to a fixed-point string, e.g. -1250 -> "-12.50" for USD
+function formatAmount(minor, decimals) {
+    const sign = minor < 0 ? '-' : '';
+    const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+    return decimals === 0
+        ? `${sign}${digits}`
+        : `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+function singleLine(text) {
+    return String(text || '').replace(/[\r\n\t]+/g, ' ').trim();
+}
+
+// Build a journal for transactions (internal shape: integer amount plus type) in ascending date order.
+// categoryPath maps a category name and transaction type to the category's path from the top level.
+function toJournal(transactions, { format, currency, assetAccount, start, end, categoryPath = (name) => [name] }) {
+    const decimals = getCurrencyDecimals(currency);
+    const sorted = [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+    const lines = [`; DumbBudget export from ${start} to ${end}`, ''];
+
+    if (format === 'beancount') {
+        const accounts = new Set([assetAccount, ...sorted.map(t => categoryAccount(t, categoryPath))]);
+        const openDate = sorted.length > 0 ? sorted[0].date : start;
+        for (const account of [...accounts].sort()) {
+            lines.push(`${openDate} open ${account} ${currency}`);
+        }
+        lines.push('');
+    }
+
+    for (const transaction of sorted) {
+        const account = categoryAccount(transaction, categoryPath);
+        // Expenses are debited and income credited; the asset account takes the other side
+        const amount = transaction.type === 'income' ? -transaction.amount : transaction.amount;
+        const title = singleLine(transaction.title);
+
+        if (format === 'beancount') {
+            lines.push(`${transaction.date} * "${title.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+        } else {
+            lines.push(`${transaction.date} ${title}`);
+        }
+        lines.push(`    ${account}  ${formatAmount(amount, decimals)} ${currency}`);
+        lines.push(`    ${assetAccount}  ${formatAmount(-amount, decimals)} ${currency}`);
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = { JOURNAL_FORMATS, isValidAssetAccount, toJournal };
@@ -0,0 +1,204 @@
+const { toMinorUnits } = require('../money');
+
+// Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings).
+// The delimiter (comma, semicolon or tab) is guessed from the first line.
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Header names we recognise for each field, most specific first
+const HEADER_PATTERNS = {
+    date: [/^date$/i, /^(transaction|posting|posted|booking|value) date$/i, /date/i],
+    title: [/^title$/i, /^(description|payee|name|memo|details|narrative|merchant)$/i, /(description|payee|memo|merchant)/i],
+    amount: [/^(amount|value)$/i, /amount/i],
+    type: [/^type$/i, /^(transaction type|debit\/credit|dr\/cr|cr\/dr|credit\/debit)$/i],
+    category: [/^category$/i, /categor/i]
+};
+
+// Guess a column mapping from the header row. Both of our own export layouts
+// (Date,Type,Category,Title,Amount and Category,Date,Title,Value) map completely.
+function detectMapping(headers) {
+    const mapping = { date: null, title: null, amount: null, type: null, category: null };
+    const used = new Set();
+
+    for (const [field, patterns] of Object.entries(HEADER_PATTERNS)) {
+        for (const pattern of patterns) {
+            const index = headers.findIndex((h, i) => !used.has(i) && pattern.test(h.trim()));
+            if (index !== -1) {
+                mapping[field] = index;
+                used.add(index);
+                break;
+            }
+        }
+    }
+    return mapping;
+}
+
+const DATE_FORMATS = {
+    'YYYY-MM-DD': { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/, order: ['y', 'm', 'd'] },
+    'MM/DD/YYYY': { pattern: /^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4})$/, order: ['m', 'd', 'y'] },
+    'DD/MM/YYYY': { pattern: /^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4})$/, order: ['d', 'm', 'y'] }
+};
+
+// Pick a date format from sample values. Day-first is chosen when a leading number exceeds 12
+// or the dates use dots (as most European banks do); otherwise month-first.
+function detectDateFormat(values) {
+    const samples = values.map(v => (v || '').trim()).filter(Boolean);
+    if (samples.length > 0 && samples.every(v => DATE_FORMATS['YYYY-MM-DD'].pattern.test(v))) {
+        return 'YYYY-MM-DD';
+    }
+    const dayFirst = samples.some(v => {
+        const match = v.match(DATE_FORMATS['DD/MM/YYYY'].pattern);
+        return match && (parseInt(match[1], 10) > 12 || v.includes('.'));
+    });
+    return dayFirst ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+}
+
+// Parse a date string in the given format into YYYY-MM-DD, or null
+function parseDate(value, format) {
+    const { pattern, order } = DATE_FORMATS[format] || DATE_FORMATS['YYYY-MM-DD'];
+    const match = (value || '').trim().match(pattern);
+    if (!match) return null;
+
+    const parts = {};
+    order.forEach((part, i) => {
+        parts[part] = parseInt(match[i + 1], 10);
+    });
+    const date = new Date(Date.UTC(parts.y, parts.m - 1, parts.d));
+    if (date.getUTCMonth() !== parts.m - 1 || date.getUTCDate() !== parts.d) return null;
+    return date.toISOString().split('T')[0];
+}
+
+// Parse "1,234.56", "1.234,56", "-12", "(12.50)" or "$12.50" into a signed number, or NaN
+function parseAmount(value) {
+    let text = (value || '').trim();
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+        negative = true;
+        text = text.slice(0, -1);
+    }
+    text = text.replace(/[^\d.,-]/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    }
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    if (lastComma > lastDot && /,\d{1,2}$/.test(text)) {
+        // Comma is the decimal separator
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+    const amount = parseFloat(text);
+    return negative ? -amount : amount;
+}
+
+const INCOME_TYPES = /^(income|credit|cr|deposit|in)$/i;
+const EXPENSE_TYPES = /^(expense|debit|dr|withdrawal|payment|out)$/i;
+
+// Turn parsed CSV rows into candidate transactions using a column mapping.
+// Without a type column the sign decides: positive is income, negative is expense
+// (invertSign flips this for exports such as credit card statements).
+// Our range export files uncategorised income under the "Income" category, which is dropped here,
+// and writes subcategories as a path ("Food > Groceries"), of which the last name is kept.
+function mapRows(rows, mapping, { currency }) {
+    const dateFormat = mapping.dateFormat || detectDateFormat(rows.map(r => r[mapping.date]));
+
+    return rows.map((row, index) => {
+        const candidate = { row: index, date: null, title: '', amount: 0, type: null, category: null, error: null };
+        const field = (name) => (mapping[name] === null || mapping[name] === undefined ? '' : (row[mapping[name]] || '').trim());
+
+        candidate.date = parseDate(field('date'), dateFormat);
+        candidate.title = field('title');
+        const amount = parseAmount(field('amount'));
+        const category = field('category').split('>').pop().trim();
+
+        if (mapping.type !== null && mapping.type !== undefined) {
+            const typeValue = field('type');
+            if (INCOME_TYPES.test(typeValue)) candidate.type = 'income';
+            else if (EXPENSE_TYPES.test(typeValue)) candidate.type = 'expense';
+        } else if (!isNaN(amount) && amount !== 0) {
+            const positive = mapping.invertSign ? amount < 0 : amount > 0;
+            candidate.type = positive ? 'income' : 'expense';
+        }
+
+        candidate.amount = isNaN(amount) ? NaN : toMinorUnits(Math.abs(amount), currency);
+        candidate.category = category && !(candidate.type === 'income' && category === 'Income') ? category : null;
+
+        if (!candidate.date) candidate.error = `Invalid date "${field('date')}"`;
+        else if (!candidate.title) candidate.error = 'Missing title';
+        else if (!Number.isFinite(candidate.amount) || candidate.amount <= 0) candidate.error = `Invalid amount "${field('amount')}"`;
+        else if (!candidate.type) candidate.error = `Unknown type "${field('type')}"`;
+
+        return candidate;
+    });
+}
+
+// Parse CSV text and map it; returns the headers and mapping used alongside the candidates
+function readCsv(text, mapping, { currency }) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('The CSV file is empty');
+    }
+    const hasHeader = mapping?.hasHeader !== false;
+    const headers = hasHeader ? rows[0].map(h => h.trim()) : rows[0].map((_, i) => `Column ${i + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const resolved = { ...detectMapping(hasHeader ? headers : []), ...mapping, hasHeader };
+    resolved.dateFormat = resolved.dateFormat || detectDateFormat(dataRows.map(r => r[resolved.date]));
+
+    return { headers, mapping: resolved, candidates: mapRows(dataRows, resolved, { currency }) };
+}
+
+module.exports = { parseCsv, detectMapping, detectDateFormat, parseDate, parseAmount, readCsv, DATE_FORMATS };
@@ -0,0 +1,46 @@
+// Likely-duplicate detection for imported transactions.
+// An imported row matches an existing transaction (stored or a recurring instance)
+// when both fall on the same date with the same type and amount and the titles look alike.
+
+function normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Titles are similar when one contains the other or at least half of their words are shared
+function isSimilarTitle(a, b) {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (!left || !right) return left === right;
+    if (left.includes(right) || right.includes(left)) return true;
+
+    const leftWords = new Set(left.split(' '));
+    const rightWords = new Set(right.split(' '));
+    const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+    return shared / Math.max(leftWords.size, rightWords.size) >= 0.5;
+}
+
+// Flag candidates that look like an existing transaction. Sets candidate.duplicateOf
+// to { id, title, date } of the match, or null. Rows with errors are left alone.
+function markDuplicates(candidates, existing) {
+    const byDate = new Map();
+    for (const transaction of existing) {
+        if (!byDate.has(transaction.date)) byDate.set(transaction.date, []);
+        byDate.get(transaction.date).push(transaction);
+    }
+
+    for (const candidate of candidates) {
+        candidate.duplicateOf = null;
+        if (candidate.error) continue;
+        const match = (byDate.get(candidate.date) || []).find(t =>
+            t.type === candidate.type &&
+            t.amount === candidate.amount &&
+            isSimilarTitle(t.title, candidate.title)
+        );
+        candidate.duplicateOf = match
+            ? { id: match.recurringParentId || match.id, title: match.title, date: match.date }
+            : null;
+    }
+    return candidates;
+}
+
+module.exports = { isSimilarTitle, markDuplicates };
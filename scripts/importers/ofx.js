@@ -0,0 +1,84 @@
+const { toMinorUnits } = require('../money');
+const { parseAmount } = require('./csv');
+
+// OFX 1.x is SGML where leaf elements have no closing tag (<TRNAMT>-12.50), while OFX 2.x
+// is XML (<TRNAMT>-12.50</TRNAMT>). Aggregates such as <STMTTRN> are closed in both,
+// so reading each leaf value up to the next tag or line break handles either version.
+
+function decodeEntities(value) {
+    return value
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&apos;/gi, "'")
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&amp;/gi, '&');
+}
+
+// Value of the first <TAG> leaf element in text, or an empty string
+function readElement(text, tag) {
+    const match = text.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? decodeEntities(match[1].trim()) : '';
+}
+
+// Content of every <TAG>...</TAG> aggregate in text
+function readAggregates(text, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    return [...text.matchAll(pattern)].map(match => match[1]);
+}
+
+// OFX dates look like YYYYMMDD, optionally followed by a time and timezone: 20240115120000.000[-5:EST]
+function parseOfxDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== parseInt(day, 10)) return null;
+    return `${year}-${month}-${day}`;
+}
+
+// Turn an OFX/QFX statement into candidate transactions. Positive TRNAMT is income, negative is
+// an expense. fitId is the FITID prefixed with the account id, since FITIDs are only unique per account.
+function readOfx(text, { currency }) {
+    const body = text.slice(Math.max(text.search(/<OFX>/i), 0));
+    if (!/<OFX>/i.test(body)) {
+        throw new Error('The file is not an OFX or QFX statement');
+    }
+
+    const candidates = [];
+    const statements = [
+        ...readAggregates(body, 'STMTRS'),
+        ...readAggregates(body, 'CCSTMTRS')
+    ];
+
+    for (const statement of statements) {
+        const account = readElement(statement, 'ACCTID');
+        for (const record of readAggregates(statement, 'STMTTRN')) {
+            const rawAmount = readElement(record, 'TRNAMT');
+            const rawDate = readElement(record, 'DTPOSTED') || readElement(record, 'DTUSER');
+            const fitId = readElement(record, 'FITID');
+            const amount = parseAmount(rawAmount);
+
+            const candidate = {
+                row: candidates.length,
+                date: parseOfxDate(rawDate),
+                title: readElement(record, 'NAME') || readElement(record, 'MEMO') || readElement(record, 'PAYEEID'),
+                amount: isNaN(amount) ? NaN : toMinorUnits(Math.abs(amount), currency),
+                type: isNaN(amount) || amount === 0 ? null : (amount > 0 ? 'income' : 'expense'),
+                category: null,
+                fitId: fitId ? (account ? `${account}:${fitId}` : fitId) : null,
+                error: null
+            };
+
+            if (!candidate.date) candidate.error = `Invalid date "${rawDate}"`;
+            else if (!candidate.title) candidate.error = 'Missing name';
+            else if (!candidate.type || !Number.isFinite(candidate.amount) || candidate.amount <= 0) candidate.error = `Invalid amount "${rawAmount}"`;
+
+            candidates.push(candidate);
+        }
+    }
+
+    return { candidates };
+}
+
+module.exports = { readOfx, parseOfxDate };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+const MONTH_KEY = /^\d{4}-\d{2}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const LISTS = [['income', 'income'], ['expenses', 'expense']];
+
+function isValidDate(value) {
+    return typeof value === 'string' && ISO_DATE.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Scan the month-keyed transactions map for structural problems (usually caused by hand edits).
+// Returns the issues found and a repaired copy of the data; the input is not modified.
+// Each issue is { code, month, id, message, fixable }. Unfixable issues are left as they are.
+function checkIntegrity(transactions, { isValidPattern }) {
+    const issues = [];
+    const repaired = {};
+    const seen = new Map();
+    const invalidMonths = new Set(Object.entries(transactions || {})
+        .filter(([, monthData]) => !monthData || typeof monthData !== 'object' || Array.isArray(monthData))
+        .map(([month]) => month));
+    // "month/list" for lists that hold something other than an array (null or missing ones are fixable)
+    const invalidLists = new Set(Object.entries(transactions || {})
+        .filter(([month]) => !invalidMonths.has(month))
+        .flatMap(([month, monthData]) => LISTS
+            .filter(([list]) => monthData[list] != null && !Array.isArray(monthData[list]))
+            .map(([list]) => `${month}/${list}`)));
+    // Records can't be moved into a month or list that is kept as it was
+    const canReceive = (month, list) => !invalidMonths.has(month) && !invalidLists.has(`${month}/${list}`);
+
+    const report = (code, month, id, message, fixable = true) => {
+        issues.push({ code, month, id: id || null, message, fixable });
+    };
+    const file = (month, list, record) => {
+        if (!repaired[month]) {
+            repaired[month] = { income: [], expenses: [] };
+        }
+        repaired[month][list].push(record);
+    };
+
+    for (const [month, monthData] of Object.entries(transactions || {})) {
+        const validKey = MONTH_KEY.test(month);
+        let unfiled = 0;
+
+        if (invalidMonths.has(month)) {
+            // Whether its contents are income or expenses can't be told, so it is kept for a manual fix
+            report('invalid-month', month, null, `Month ${month} is not an object with income and expenses lists`, false);
+            repaired[month] = monthData;
+            continue;
+        }
+        if (validKey && !repaired[month]) {
+            repaired[month] = { income: [], expenses: [] };
+        }
+
+        for (const [list, type] of LISTS) {
+            if (invalidLists.has(`${month}/${list}`)) {
+                // It may hold records in some other shape, so it is kept for a manual fix
+                report('invalid-array', month, null, `Month ${month} has ${list} that are not a list`, false);
+                if (!repaired[month]) {
+                    repaired[month] = { income: [], expenses: [] };
+                }
+                repaired[month][list] = monthData[list];
+                continue;
+            }
+            if (!Array.isArray(monthData[list])) {
+                report('missing-array', month, null, `Month ${month} has no ${list} array; an empty one will be added`);
+                continue;
+            }
+
+            for (const original of monthData[list]) {
+                if (!original || typeof original !== 'object' || Array.isArray(original)) {
+                    report('invalid-record', month, null, `Month ${month} has a ${type} entry that is not an object; it will be dropped`);
+                    continue;
+                }
+                const record = { ...original };
+
+                if (!record.id) {
+                    record.id = crypto.randomUUID();
+                    report('missing-id', month, record.id, `A ${type} in ${month} ("${record.title}") has no id; a new one will be assigned`);
+                }
+
+                let targetMonth = month;
+                if (!isValidDate(record.date)) {
+                    report('invalid-date', month, record.id, `${type} ${record.id} has an invalid date "${record.date}"`, false);
+                    // Nowhere sensible to move it; it stays under its original key
+                    if (!validKey) unfiled++;
+                } else if (!canReceive(record.date.slice(0, 7), list)) {
+                    report('wrong-month', month, record.id, `${type} ${record.id} dated ${record.date} is filed under ${month} but can't be moved to ${record.date.slice(0, 7)} until that month's ${list} are fixed`, false);
+                    if (!validKey) unfiled++;
+                } else if (record.date.slice(0, 7) !== month) {
+                    targetMonth = record.date.slice(0, 7);
+                    if (validKey) {
+                        report('wrong-month', month, record.id, `${type} ${record.id} dated ${record.date} is filed under ${month}; it will be moved to ${targetMonth}`);
+                    }
+                }
+
+                if (!Number.isInteger(record.amount) || record.amount <= 0) {
+                    report('invalid-amount', month, record.id, `${type} ${record.id} has an invalid amount "${record.amount}"`, false);
+                }
+
+                if (record.recurring?.pattern && !isValidPattern(record.recurring.pattern, record.date)) {
+                    report('invalid-recurring-pattern', month, record.id, `${type} ${record.id} has an invalid recurring pattern "${record.recurring.pattern}"; it will become a one-off transaction`);
+                    record.recurring = null;
+                } else if (record.recurring?.until && !isValidDate(record.recurring.until)) {
+                    report('invalid-recurring-until', month, record.id, `${type} ${record.id} has an invalid recurring end date "${record.recurring.until}"; it will repeat indefinitely`);
+                    record.recurring = { ...record.recurring, until: null };
+                }
+
+                if (seen.has(record.id)) {
+                    if (JSON.stringify(seen.get(record.id)) === JSON.stringify(record)) {
+                        report('duplicate-id', month, record.id, `${type} ${record.id} appears more than once; the copy will be removed`);
+                        continue;
+                    }
+                    const newId = crypto.randomUUID();
+                    report('duplicate-id', month, record.id, `Two different transactions share id ${record.id}; one gets the new id ${newId}`);
+                    record.id = newId;
+                }
+                seen.set(record.id, record);
+
+                file(targetMonth, list, record);
+            }
+        }
+
+        if (!validKey) {
+            report(
+                'invalid-month-key',
+                month,
+                null,
+                unfiled === 0
+                    ? `Month key "${month}" is not in YYYY-MM format; its records will be re-filed by date`
+                    : `Month key "${month}" is not in YYYY-MM format and ${unfiled} of its records can't be re-filed by date`,
+                unfiled === 0
+            );
+        }
+    }
+
+    return { issues, repaired };
+}
+
+module.exports = { checkIntegrity };
@@ -0,0 +1,24 @@
+// Amounts are stored as integers in the currency's minor unit (cents for USD, whole yen for JPY)
+// so sums never pick up floating point drift. The API keeps using decimal amounts.
+
+// Number of decimal places of a currency, e.g. 2 for USD and 0 for JPY or KRW
+function getCurrencyDecimals(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// Convert a decimal amount (number or numeric string) to integer minor units
+function toMinorUnits(amount, currency) {
+    const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return NaN;
+    const factor = 10 ** getCurrencyDecimals(currency);
+    // toPrecision trims float noise such as 1.005 * 100 = 100.49999999999999
+    return Math.round(Number((value * factor).toPrecision(15)));
+}
+
+// Convert integer minor units back to a decimal amount
+function fromMinorUnits(minor, currency) {
+    const decimals = getCurrencyDecimals(currency);
+    return Number((minor / 10 ** decimals).toFixed(decimals));
+}
+
+module.exports = { getCurrencyDecimals, toMinorUnits, fromMinorUnits };
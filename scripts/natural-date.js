@@ -0,0 +1,209 @@
+// Natural-language dates and recurrences for the transaction form, e.g. "next friday",
+// "every other tuesday" or "15th of every month until december".
+// Single dates are left to dumbdateparser; recurrences are matched here and turned into the
+// patterns the server already stores: the legacy "every N unit" forms where they fit, RRULEs otherwise.
+
+const WEEKDAYS = {
+    sun: 'sunday', sunday: 'sunday',
+    mon: 'monday', monday: 'monday',
+    tue: 'tuesday', tues: 'tuesday', tuesday: 'tuesday',
+    wed: 'wednesday', weds: 'wednesday', wednesday: 'wednesday',
+    thu: 'thursday', thur: 'thursday', thurs: 'thursday', thursday: 'thursday',
+    fri: 'friday', friday: 'friday',
+    sat: 'saturday', saturday: 'saturday'
+};
+const RRULE_DAYS = {
+    sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA'
+};
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+const NUMBER_WORDS = {
+    other: 2, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const ORDINALS = {
+    first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3,
+    fourth: 4, '4th': 4, fifth: 5, '5th': 5, last: -1
+};
+const WEEKDAY_RULE = 'MO,TU,WE,TH,FR';
+
+// dumbdateparser is an ES module, so it is loaded on first use
+let parserPromise = null;
+function loadDateParser() {
+    if (!parserPromise) {
+        parserPromise = import('dumbdateparser').then(module => new module.default());
+    }
+    return parserPromise;
+}
+
+// Local calendar date of a Date as YYYY-MM-DD
+function formatLocalDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A single date phrase as YYYY-MM-DD, or null. A bare month name used as an end date means
+// the end of that month, so "until december" includes December.
+async function parseSingleDate(text, { endOfMonth = false } = {}) {
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        const date = new Date(Date.UTC(iso[1], iso[2] - 1, iso[3]));
+        return date.getUTCDate() === parseInt(iso[3], 10) ? text : null;
+    }
+
+    const parser = await loadDateParser();
+    const date = parser.parse(text);
+    if (!date || isNaN(date.getTime())) return null;
+
+    const isMonthName = MONTHS.some(month => month === text || month.slice(0, 3) === text);
+    if (endOfMonth && isMonthName) {
+        return formatLocalDate(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+    }
+    return formatLocalDate(date);
+}
+
+function parseInterval(word) {
+    if (!word) return 1;
+    if (/^\d+$/.test(word)) return parseInt(word, 10);
+    return NUMBER_WORDS[word] || null;
+}
+
+// "tuesday", "mon, wed and fri" or "tuesdays" -> ['tuesday'], or null when any item is not a weekday
+function parseWeekdays(text) {
+    const days = text.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean)
+        .map(item => WEEKDAYS[item.replace(/s$/, '')] || WEEKDAYS[item]);
+    return days.length > 0 && days.every(Boolean) ? [...new Set(days)] : null;
+}
+
+// "15th", "1st and 15th", "day 15" or "last day" -> [15], [1, 15], [-1]; null when not a list of days
+function parseMonthDays(text) {
+    const days = text.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean).map(item => {
+        if (/^last( day)?$/.test(item)) return -1;
+        const match = item.match(/^(?:day )?(\d{1,2})(?:st|nd|rd|th)?(?: day)?$/);
+        const day = match ? parseInt(match[1], 10) : 0;
+        return day >= 1 && day <= 31 ? day : null;
+    });
+    return days.length > 0 && days.every(Boolean) ? [...new Set(days)] : null;
+}
+
+function rrule(freq, interval, parts = '') {
+    return `RRULE:FREQ=${freq}${interval > 1 ? `;INTERVAL=${interval}` : ''}${parts}`;
+}
+
+// Monthly details: days of the month, "first monday", or "last business day"
+function monthlyPattern(interval, detail) {
+    if (/^last (business|working|week) ?day$/.test(detail)) {
+        return rrule('MONTHLY', interval, `;BYDAY=${WEEKDAY_RULE};BYSETPOS=-1`);
+    }
+
+    const ordinalWeekday = detail.match(/^(\w+) (\w+)$/);
+    if (ordinalWeekday && ORDINALS[ordinalWeekday[1]] && WEEKDAYS[ordinalWeekday[2]]) {
+        const day = RRULE_DAYS[WEEKDAYS[ordinalWeekday[2]]];
+        return rrule('MONTHLY', interval, `;BYDAY=${ORDINALS[ordinalWeekday[1]]}${day}`);
+    }
+
+    const days = parseMonthDays(detail);
+    if (!days) return null;
+    if (interval === 1 && days.length === 1 && days[0] > 0) {
+        const suffix = [11, 12, 13].includes(days[0]) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[days[0] % 10] || 'th');
+        return `every ${days[0]}${suffix} of the month`;
+    }
+    return rrule('MONTHLY', interval, `;BYMONTHDAY=${days.join(',')}`);
+}
+
+// Rewrite the many ways of saying a recurrence into "every [N] <unit or days> [on <detail>]"
+function normalizeRecurrence(text) {
+    return text
+        .replace(/\b(each|every single)\b/g, 'every')
+        .replace(/\bthe\b\s*/g, '')
+        .replace(/^(daily)$/, 'every day')
+        .replace(/^(weekly|monthly|yearly|annually)\b/, (word) => ({
+            weekly: 'every week', monthly: 'every month', yearly: 'every year', annually: 'every year'
+        })[word])
+        .replace(/^(biweekly|fortnightly)\b/, 'every 2 weeks')
+        .replace(/^quarterly\b/, 'every 3 months')
+        // "15th of every month" or "first monday of every other month" -> "every month on 15th"
+        .replace(/^(?:on )?(.+?) of every (?:(\w+) )?months?$/, (_, detail, interval) =>
+            `every ${interval ? `${interval} ` : ''}month on ${detail}`)
+        .replace(/^(.+?) of month$/, 'every month on $1')
+        .replace(/^every (\w+) (days?|weeks?|months?|years?)/, (match, word, unit) =>
+            (parseInterval(word) ? `every ${parseInterval(word)} ${unit}` : match))
+        .replace(/^every (other|two|three|four) (?!days?\b|weeks?\b|months?\b|years?\b)/, (_, word) =>
+            `every ${NUMBER_WORDS[word]} weeks on `);
+}
+
+// The pattern for the recurrence part of the text, or null when it isn't one we understand
+function parseRecurrence(text) {
+    const match = normalizeRecurrence(text).match(/^every (?:(\d+) )?(.+?)(?: on (.+))?$/);
+    if (!match) return null;
+    const interval = match[1] ? parseInt(match[1], 10) : 1;
+    const head = match[2].replace(/s$/, '');
+    const detail = match[3] || null;
+    if (interval < 1) return null;
+
+    if (head === 'day' && !detail) {
+        return `every ${interval} day`;
+    }
+    if (['weekday', 'business day', 'working day'].includes(head) && !detail) {
+        return rrule('WEEKLY', interval, `;BYDAY=${WEEKDAY_RULE}`);
+    }
+    if (head === 'year' && !detail) {
+        return `every ${interval} year`;
+    }
+    if (head === 'month') {
+        return detail ? monthlyPattern(interval, detail) : `every ${interval} month`;
+    }
+
+    // "every week on monday and thursday", "every 2 weeks on friday" or just "every tuesday"
+    const weekdays = head === 'week' ? (detail ? parseWeekdays(detail) : []) : (!detail && parseWeekdays(match[2]));
+    if (weekdays && weekdays.length === 0) {
+        return `every ${interval} week`;
+    }
+    if (weekdays && weekdays.length === 1) {
+        return `every ${interval} week on ${weekdays[0]}`;
+    }
+    if (weekdays) {
+        return rrule('WEEKLY', interval, `;BYDAY=${weekdays.map(day => RRULE_DAYS[day]).join(',')}`);
+    }
+
+    // "every 15th" or "every last friday" are monthly
+    return !detail && interval === 1 ? monthlyPattern(1, match[2]) : null;
+}
+
+// Split trailing "starting ..." and "until ..." clauses off the text, in either order
+function splitClauses(text) {
+    const clauses = { start: null, until: null };
+    let rest = text;
+    let match;
+    while ((match = rest.match(/^(.+)\s(until|till|til|through|thru|ending|ends|starting|starts|beginning|from)\s(?:on\s)?(.+)$/))) {
+        const key = ['starting', 'starts', 'beginning', 'from'].includes(match[2]) ? 'start' : 'until';
+        if (clauses[key]) return null;
+        clauses[key] = match[3];
+        rest = match[1];
+    }
+    return { rest, ...clauses };
+}
+
+// Parse a phrase into { date } or { recurring: { pattern, until }, startDate }.
+// startDate is null when the text doesn't name one. Returns null when the text isn't understood.
+async function parseNaturalDate(text) {
+    const normalized = String(text || '').toLowerCase().replace(/[.!?]+$/, '').replace(/\s+/g, ' ').trim();
+    if (!normalized) return null;
+
+    const clauses = splitClauses(normalized);
+    const pattern = clauses && parseRecurrence(clauses.rest);
+    if (!pattern) {
+        const date = await parseSingleDate(normalized);
+        return date ? { date } : null;
+    }
+
+    const startDate = clauses.start ? await parseSingleDate(clauses.start) : null;
+    const until = clauses.until ? await parseSingleDate(clauses.until, { endOfMonth: true }) : null;
+    if ((clauses.start && !startDate) || (clauses.until && !until)) return null;
+
+    return { recurring: { pattern, until }, startDate };
+}
+
+module.exports = { parseNaturalDate };
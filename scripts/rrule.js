@@ -0,0 +1,316 @@
+// RFC 5545 recurrence rules (RRULE) for date-only series, e.g. "FREQ=MONTHLY;BYDAY=-1FR".
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with
+// ordinals), BYMONTHDAY (negative values count from the end of the month), BYMONTH, BYSETPOS and WKST.
+// Dates are YYYY-MM-DD strings; all arithmetic is done on UTC dates so time zones never shift a day.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expansion stops after this year; later dates no longer fit the YYYY-MM-DD format
+const MAX_YEAR = 9999;
+// A rule must have an occurrence within this many years (and periods) of its start; see hasOccurrence
+const PROBE_YEARS = 8;
+const PROBE_PERIODS = 8;
+
+function isRRule(pattern) {
+    return typeof pattern === 'string' && /^(RRULE:)?FREQ=/i.test(pattern.trim());
+}
+
+function parsePositive(value, name) {
+    if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return parseInt(value, 10);
+}
+
+// Comma-separated non-zero integers within ±max
+function parseSignedList(value, max, name) {
+    return value.split(',').map(item => {
+        const number = /^[+-]?\d+$/.test(item) ? parseInt(item, 10) : NaN;
+        if (!number || Math.abs(number) > max) {
+            throw new Error(`Invalid ${name} value "${item}"`);
+        }
+        return number;
+    });
+}
+
+// "MO", "2TU" or "-1FR" -> { weekday, ordinal }
+function parseByDay(item) {
+    const match = item.toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match || match[1] === '0' || Math.abs(parseInt(match[1] || '0', 10)) > 53) {
+        throw new Error(`Invalid BYDAY value "${item}"`);
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+}
+
+// UNTIL is YYYYMMDD or YYYYMMDDTHHMMSS[Z]; the time is ignored because series are date-only
+function parseUntil(value) {
+    const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/i);
+    if (!match) {
+        throw new Error(`Invalid UNTIL value "${value}"`);
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+// Parse an RRULE string (with or without the "RRULE:" prefix). Throws on anything unsupported.
+function parseRRule(pattern) {
+    const rule = {
+        freq: null,
+        interval: 1,
+        count: null,
+        until: null,
+        byDay: null,
+        byMonthDay: null,
+        byMonth: null,
+        bySetPos: null,
+        wkst: 1
+    };
+    const seen = new Set();
+
+    for (const part of pattern.trim().replace(/^RRULE:/i, '').split(';')) {
+        if (!part) continue;
+        const [rawKey, value, extra] = part.split('=');
+        const key = rawKey.toUpperCase();
+        if (!value || extra !== undefined || seen.has(key)) {
+            throw new Error(`Invalid RRULE part "${part}"`);
+        }
+        seen.add(key);
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value.toUpperCase())) {
+                    throw new Error(`Unsupported FREQ "${value}"`);
+                }
+                rule.freq = value.toUpperCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = parsePositive(value, 'INTERVAL');
+                break;
+            case 'COUNT':
+                rule.count = parsePositive(value, 'COUNT');
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(parseByDay);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parseSignedList(value, 31, 'BYMONTHDAY');
+                break;
+            case 'BYMONTH':
+                rule.byMonth = value.split(',').map(item => {
+                    const month = /^\d{1,2}$/.test(item) ? parseInt(item, 10) : 0;
+                    if (month < 1 || month > 12) {
+                        throw new Error(`Invalid BYMONTH value "${item}"`);
+                    }
+                    return month;
+                });
+                break;
+            case 'BYSETPOS':
+                rule.bySetPos = parseSignedList(value, 366, 'BYSETPOS');
+                break;
+            case 'WKST':
+                if (!WEEKDAYS.includes(value.toUpperCase())) {
+                    throw new Error(`Invalid WKST value "${value}"`);
+                }
+                rule.wkst = WEEKDAYS.indexOf(value.toUpperCase());
+                break;
+            default:
+                throw new Error(`Unsupported RRULE part "${key}"`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('RRULE requires FREQ');
+    }
+    if (rule.count && rule.until) {
+        throw new Error('RRULE cannot have both COUNT and UNTIL');
+    }
+    if (rule.byDay?.some(day => day.ordinal !== null)) {
+        const maxOrdinal = rule.freq === 'MONTHLY' || (rule.freq === 'YEARLY' && rule.byMonth) ? 5 : 53;
+        if (rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+            throw new Error('BYDAY ordinals are only allowed with FREQ=MONTHLY or FREQ=YEARLY');
+        }
+        if (rule.byDay.some(day => Math.abs(day.ordinal) > maxOrdinal)) {
+            throw new Error('BYDAY ordinal is out of range');
+        }
+    }
+    if (rule.byMonthDay && rule.freq === 'WEEKLY') {
+        throw new Error('BYMONTHDAY is not allowed with FREQ=WEEKLY');
+    }
+    if (rule.bySetPos && !rule.byDay && !rule.byMonthDay && !rule.byMonth) {
+        throw new Error('BYSETPOS requires BYDAY, BYMONTHDAY or BYMONTH');
+    }
+    return rule;
+}
+
+function toDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+// All dates of a month (0-based) or of a whole year (month omitted)
+function datesIn(year, month) {
+    const first = new Date(Date.UTC(year, month === undefined ? 0 : month, 1));
+    const next = month === undefined
+        ? new Date(Date.UTC(year + 1, 0, 1))
+        : new Date(Date.UTC(year, month + 1, 1));
+    const dates = [];
+    for (let date = first; date < next; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+// Dates in span that match BYDAY; ordinals ("2TU", "-1FR") count within the span
+function filterByDay(byDay, span) {
+    const matches = new Set();
+    for (const { weekday, ordinal } of byDay) {
+        const sameWeekday = span.filter(date => date.getUTCDay() === weekday);
+        if (ordinal === null) {
+            sameWeekday.forEach(date => matches.add(date.getTime()));
+        } else {
+            const date = ordinal > 0 ? sameWeekday[ordinal - 1] : sameWeekday[sameWeekday.length + ordinal];
+            if (date) matches.add(date.getTime());
+        }
+    }
+    return span.filter(date => matches.has(date.getTime()));
+}
+
+function matchesMonthDay(byMonthDay, date) {
+    const day = date.getUTCDate();
+    const last = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    return byMonthDay.some(value => (value > 0 ? value : last + value + 1) === day);
+}
+
+// Candidate dates of one month for MONTHLY rules (and YEARLY rules with BYMONTH)
+function monthCandidates(rule, year, month, startDay) {
+    let span = datesIn(year, month);
+    if (rule.byMonthDay) {
+        span = span.filter(date => matchesMonthDay(rule.byMonthDay, date));
+    }
+    if (rule.byDay) {
+        span = filterByDay(rule.byDay, span);
+    }
+    if (!rule.byMonthDay && !rule.byDay) {
+        // Plain monthly repeats keep the start day and skip months that don't have it
+        span = span.filter(date => date.getUTCDate() === startDay);
+    }
+    return span;
+}
+
+// Candidate dates for the period starting at periodStart, before BYSETPOS
+function periodCandidates(rule, periodStart, start) {
+    const year = periodStart.getUTCFullYear();
+    const month = periodStart.getUTCMonth();
+    const inMonths = (date) => !rule.byMonth || rule.byMonth.includes(date.getUTCMonth() + 1);
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return [periodStart].filter(date =>
+                inMonths(date) &&
+                (!rule.byMonthDay || matchesMonthDay(rule.byMonthDay, date)) &&
+                (!rule.byDay || rule.byDay.some(day => day.weekday === date.getUTCDay()))
+            );
+        case 'WEEKLY': {
+            const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+            const week = Array.from({ length: 7 }, (_, i) => addDays(periodStart, i));
+            return week.filter(date => weekdays.includes(date.getUTCDay()) && inMonths(date));
+        }
+        case 'MONTHLY':
+            return inMonths(periodStart) ? monthCandidates(rule, year, month, start.getUTCDate()) : [];
+        case 'YEARLY': {
+            if (rule.byMonth) {
+                return [...rule.byMonth].sort((a, b) => a - b).flatMap(m =>
+                    rule.byDay || rule.byMonthDay
+                        ? monthCandidates(rule, year, m - 1, start.getUTCDate())
+                        : datesIn(year, m - 1).filter(date => date.getUTCDate() === start.getUTCDate())
+                );
+            }
+            if (rule.byDay) {
+                const matches = filterByDay(rule.byDay, datesIn(year));
+                return rule.byMonthDay ? matches.filter(date => matchesMonthDay(rule.byMonthDay, date)) : matches;
+            }
+            if (rule.byMonthDay) {
+                return datesIn(year).filter(date => matchesMonthDay(rule.byMonthDay, date));
+            }
+            return datesIn(year, start.getUTCMonth()).filter(date => date.getUTCDate() === start.getUTCDate());
+        }
+    }
+    return [];
+}
+
+// Start of the i-th period (before INTERVAL is applied) for the series starting at start
+function periodStartAt(rule, start, index) {
+    const step = index * rule.interval;
+    switch (rule.freq) {
+        case 'DAILY':
+            return addDays(start, step);
+        case 'WEEKLY': {
+            const offset = (start.getUTCDay() - rule.wkst + 7) % 7;
+            return addDays(start, step * 7 - offset);
+        }
+        case 'MONTHLY':
+            return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, 1));
+        default:
+            return new Date(Date.UTC(start.getUTCFullYear() + step, 0, 1));
+    }
+}
+
+// Occurrence dates of the rule for a series starting on startDate, limited to [rangeStart, rangeEnd].
+// COUNT is counted from startDate, so occurrences before rangeStart still use it up.
+// limit stops after that many results (used to find the first or next few occurrences).
+function expandRRule(rule, startDate, rangeStart, rangeEnd, limit = Infinity) {
+    const start = toDate(startDate);
+    const end = rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+    const results = [];
+    let count = 0;
+
+    for (let index = 0; ; index++) {
+        const periodStart = periodStartAt(rule, start, index);
+        if (periodStart.getUTCFullYear() > MAX_YEAR || toDateString(periodStart) > end) break;
+
+        let candidates = periodCandidates(rule, periodStart, start);
+        if (rule.bySetPos) {
+            const positions = rule.bySetPos.map(pos => (pos > 0 ? pos - 1 : candidates.length + pos));
+            candidates = candidates.filter((_, i) => positions.includes(i));
+        }
+
+        for (const date of candidates) {
+            const dateStr = toDateString(date);
+            if (dateStr < startDate) continue;
+            if (dateStr > end) return results;
+            count++;
+            if (dateStr >= rangeStart) {
+                results.push(dateStr);
+                if (results.length >= limit) return results;
+            }
+            if (rule.count && count >= rule.count) return results;
+        }
+    }
+    return results;
+}
+
+// Whether the rule has an occurrence on or after startDate in its first PROBE_YEARS years, or its
+// first PROBE_PERIODS periods when those reach further (ignoring COUNT and UNTIL). Rules such as
+// BYMONTH=2;BYMONTHDAY=30 never match, and expanding them would only stop at MAX_YEAR.
+function hasOccurrence(rule, startDate) {
+    const start = toDate(startDate);
+    const probeEnd = [
+        new Date(Date.UTC(start.getUTCFullYear() + PROBE_YEARS, start.getUTCMonth(), start.getUTCDate())),
+        periodStartAt(rule, start, PROBE_PERIODS)
+    ].reduce((latest, date) => (date > latest ? date : latest));
+    const end = probeEnd.getUTCFullYear() > MAX_YEAR ? `${MAX_YEAR}-12-31` : toDateString(probeEnd);
+    return expandRRule({ ...rule, count: null, until: null }, startDate, startDate, end, 1).length > 0;
+}
+
+module.exports = { isRRule, parseRRule, expandRRule, hasOccurrence };
@@ -0,0 +1,145 @@
+// Auto-categorization rules, kept in settings.rules in the order they run as
+// { id, type, conditions: [{ field, operator, value }], category, stop, revision }.
+// A rule applies to transactions of its type and matches when all of its conditions hold. Title
+// conditions ignore case; `matches` takes a regular expression, optionally written /pattern/flags.
+// Amount conditions compare integer minor units. Every matching rule sets the category, in order,
+// until a matching rule with `stop` set.
+
+const vm = require('vm');
+
+const TITLE_OPERATORS = ['contains', 'equals', 'matches'];
+const AMOUNT_OPERATORS = ['>', '>=', '<', '<=', '='];
+const MAX_PATTERN_LENGTH = 200;
+// Any quantifier: *, +, ? or {n}/{n,}/{n,m}
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+// A quantifier that repeats what it follows more than once
+const REPEAT = /^(?:[*+]|\{\d+(?:,\d*)?\})/;
+// How long one `matches` condition may run before it counts as not matching
+const MATCH_TIMEOUT_MS = 50;
+
+// Patterns run in their own context so a time limit can stop one that backtracks too long
+const matchContext = vm.createContext({ pattern: null, title: '' });
+const matchScript = new vm.Script('pattern.test(title)');
+
+// "/netflix|spotify/i" keeps its flags; a bare pattern ignores case. Throws a SyntaxError when invalid.
+function toRegExp(pattern) {
+    const literal = /^\/(.+)\/([imsu]*)$/s.exec(pattern);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+}
+
+// Whether a pattern source repeats a group that contains a quantifier or alternatives, such as
+// (a+)+, (a|a)* or (a?){25}. Those can backtrack for exponential time on a title that almost
+// matches, so rules reject them.
+function isUnsafePattern(source) {
+    // One entry per open group (plus the whole pattern): whether it contains a quantifier or a |
+    const groups = [false];
+    let inClass = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+            // (?:, (?= and (?<name> are group syntax, not quantifiers
+            if (source[i + 1] === '?') i += 2;
+        } else if (char === ')' && groups.length > 1) {
+            const inner = groups.pop();
+            if (inner && REPEAT.test(source.slice(i + 1))) return true;
+            groups[groups.length - 1] ||= inner || QUANTIFIER.test(source.slice(i + 1));
+        } else if (char === '|' || QUANTIFIER.test(source.slice(i))) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+// Test a `matches` pattern against a title within MATCH_TIMEOUT_MS; a pattern that runs out of time
+// doesn't match
+function matchesPattern(pattern, title) {
+    matchContext.pattern = toRegExp(pattern);
+    matchContext.title = title;
+    try {
+        return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        console.warn(`Rule pattern ${pattern} timed out on "${title}"; treating it as no match`);
+        return false;
+    }
+}
+
+function conditionMatches({ field, operator, value }, transaction) {
+    if (field === 'title') {
+        const title = String(transaction.title || '');
+        if (operator === 'matches') return matchesPattern(value, title);
+        if (operator === 'equals') return title.toLowerCase() === value.toLowerCase();
+        return title.toLowerCase().includes(value.toLowerCase());
+    }
+    if (field === 'amount') {
+        switch (operator) {
+            case '>': return transaction.amount > value;
+            case '>=': return transaction.amount >= value;
+            case '<': return transaction.amount < value;
+            case '<=': return transaction.amount <= value;
+            default: return transaction.amount === value;
+        }
+    }
+    return false;
+}
+
+function ruleMatches(rule, transaction) {
+    return rule.type === transaction.type && rule.conditions.every(condition => conditionMatches(condition, transaction));
+}
+
+// The category the rules pick for a transaction ({ type, title, amount }), or null when none matches
+function categorize(rules, transaction) {
+    let category = null;
+    for (const rule of rules) {
+        if (!ruleMatches(rule, transaction)) continue;
+        category = rule.category;
+        if (rule.stop) break;
+    }
+    return category;
+}
+
+// Stored transactions dated start..end (inclusive) whose category the rules would change:
+// [{ record, type, from, to }]. A recurring series is matched once, by its first date.
+function ruleChanges(transactions, rules, start, end) {
+    const changes = [];
+    for (const monthData of Object.values(transactions)) {
+        for (const [list, type] of [['income', 'income'], ['expenses', 'expense']]) {
+            for (const record of monthData?.[list] || []) {
+                if (record.date < start || record.date > end) continue;
+                const to = categorize(rules, { ...record, type });
+                if (to && to !== record.category) {
+                    changes.push({ record, type, from: record.category || null, to });
+                }
+            }
+        }
+    }
+    return changes.sort((a, b) => a.record.date.localeCompare(b.record.date));
+}
+
+// Follow a category rename or merge into `to`; with `to` null (the category was deleted) its rules
+// are dropped
+function moveRules(rules, type, from, to) {
+    return rules
+        .filter(rule => to !== null || rule.type !== type || rule.category !== from)
+        .map(rule => (rule.type === type && rule.category === from
+            ? { ...rule, category: to, revision: (rule.revision || 1) + 1 }
+            : rule));
+}
+
+module.exports = {
+    TITLE_OPERATORS,
+    AMOUNT_OPERATORS,
+    MAX_PATTERN_LENGTH,
+    toRegExp,
+    isUnsafePattern,
+    categorize,
+    ruleChanges,
+    moveRules
+};
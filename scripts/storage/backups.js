@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Default retention: the last 10 snapshots plus the newest one of each of the
+// last 24 hours, 7 days and 12 months
+const DEFAULT_RETENTION = { recent: 10, hourly: 24, daily: 7, monthly: 12 };
+
+// Default minutes between automatic snapshots taken before a change
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+// Prefix length of an ISO timestamp that identifies each retention period
+const PERIOD_KEY_LENGTH = { hourly: 13, daily: 10, monthly: 7 };
+
+const BACKUP_NAME = /^(backup|pre-migration-v\d+|pre-restore)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.(json|db)$/;
+
+// Parse BACKUP_RETENTION, e.g. "recent:10,hourly:24,daily:7,monthly:12" (missing keys keep their default)
+function parseRetention(value) {
+    const retention = { ...DEFAULT_RETENTION };
+    if (!value) return retention;
+
+    for (const part of value.split(',')) {
+        const [key, count] = part.split(':').map(p => p.trim());
+        if (!(key in retention) || !/^\d+$/.test(count || '')) {
+            throw new Error(`Invalid BACKUP_RETENTION entry "${part}". Use e.g. recent:10,hourly:24,daily:7,monthly:12`);
+        }
+        retention[key] = parseInt(count, 10);
+    }
+    return retention;
+}
+
+// Parse BACKUP_INTERVAL (whole minutes; 0 snapshots before every change) into milliseconds
+function parseInterval(value) {
+    if (value === undefined || value === '') return DEFAULT_INTERVAL_MINUTES * 60 * 1000;
+    if (!/^\d+$/.test(String(value).trim())) {
+        throw new Error(`Invalid BACKUP_INTERVAL "${value}". Use a whole number of minutes, e.g. 10`);
+    }
+    return parseInt(value, 10) * 60 * 1000;
+}
+
+function timestamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Copy the current data to backupDir as <prefix>-<timestamp><ext> and return its file name
+async function takeSnapshot(driver, backupDir, prefix = 'backup') {
+    await fs.mkdir(backupDir, { recursive: true });
+    const name = `${prefix}-${timestamp()}${driver.extension}`;
+    await driver.snapshot(path.join(backupDir, name));
+    return name;
+}
+
+// All snapshots in backupDir, newest first
+async function listBackups(backupDir) {
+    let files;
+    try {
+        files = await fs.readdir(backupDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const backups = [];
+    for (const name of files) {
+        const match = name.match(BACKUP_NAME);
+        if (!match) continue;
+        const [, kind, stamp] = match;
+        const createdAt = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+        const { size } = await fs.stat(path.join(backupDir, name));
+        backups.push({
+            name,
+            kind: kind.startsWith('pre-migration') ? 'pre-migration' : kind,
+            createdAt,
+            size
+        });
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Absolute path of a listed backup, or null for unknown names (guards against path traversal)
+async function resolveBackup(backupDir, name) {
+    if (!BACKUP_NAME.test(name || '')) return null;
+    const backups = await listBackups(backupDir);
+    return backups.some(b => b.name === name) ? path.join(backupDir, name) : null;
+}
+
+// Delete rotating snapshots that fall outside the retention policy.
+// Pre-migration and pre-restore snapshots are never deleted automatically.
+async function pruneBackups(backupDir, retention) {
+    const backups = (await listBackups(backupDir)).filter(b => b.kind === 'backup');
+    const keep = new Set(backups.slice(0, retention.recent).map(b => b.name));
+
+    for (const [period, keyLength] of Object.entries(PERIOD_KEY_LENGTH)) {
+        const periods = new Set();
+        for (const backup of backups) {
+            const key = backup.createdAt.slice(0, keyLength);
+            if (periods.has(key)) continue;
+            if (periods.size >= retention[period]) break;
+            periods.add(key);
+            keep.add(backup.name);
+        }
+    }
+
+    const removed = backups.filter(b => !keep.has(b.name));
+    for (const backup of removed) {
+        await fs.unlink(path.join(backupDir, backup.name));
+    }
+    return removed.map(b => b.name);
+}
+
+module.exports = { parseRetention, parseInterval, takeSnapshot, listBackups, resolveBackup, pruneBackups };
@@ -0,0 +1,209 @@
+const path = require('path');
+const { createJsonDriver } = require('./json-driver');
+const { createSqliteDriver } = require('./sqlite-driver');
+const { runMigrations, migrateDocument, CURRENT_SCHEMA_VERSION } = require('./migrations');
+const { parseRetention, parseInterval, takeSnapshot, listBackups, resolveBackup, pruneBackups } = require('./backups');
+const { buildIndex, locate, findInRange } = require('./transaction-index');
+
+const DRIVERS = {
+    json: createJsonDriver,
+    sqlite: createSqliteDriver
+};
+
+// Raised when a mutation was based on an older revision of a record
+class ConflictError extends Error {
+    constructor(message, current) {
+        super(message);
+        this.name = 'ConflictError';
+        this.status = 409;
+        this.current = current;
+    }
+}
+
+// Runs tasks one at a time, in the order they were queued
+function createWriteQueue() {
+    let tail = Promise.resolve();
+
+    return function enqueue(task) {
+        const run = tail.then(() => task());
+        // Keep the chain alive even when a task fails
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+// One-time import of an existing month-keyed transactions.json into a fresh database
+async function importLegacyJson(driver, dataDir) {
+    if (await driver.getMeta('json_imported_at')) return;
+
+    const jsonDriver = createJsonDriver({ dataDir });
+    if (!(await driver.isEmpty()) || !(await jsonDriver.exists())) {
+        await driver.setMeta('json_imported_at', new Date().toISOString());
+        return;
+    }
+
+    // Keep the file's schema version so the migration runner upgrades it afterwards
+    await driver.saveDocument(await jsonDriver.loadDocument());
+    await driver.setMeta('json_imported_at', new Date().toISOString());
+    console.log(`Imported ${jsonDriver.file} into ${driver.file}`);
+}
+
+// Read-only driver for a backup file; the extension decides the format so backups restore across drivers
+function openBackupDriver(backupDir, name) {
+    return name.endsWith('.db')
+        ? createSqliteDriver({ dataDir: backupDir, fileName: name, readonly: true })
+        : createJsonDriver({ dataDir: backupDir, fileName: name });
+}
+
+function createStorage({ driver = 'json', dataDir, backupRetention, backupInterval, currency = 'USD' }) {
+    const createDriver = DRIVERS[driver];
+    if (!createDriver) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Supported drivers: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    const backend = createDriver({ dataDir });
+    const enqueue = createWriteQueue();
+    const backupDir = path.join(dataDir, 'backups');
+    const retention = parseRetention(backupRetention);
+    const interval = parseInterval(backupInterval);
+    // Time of the newest automatic snapshot, read from backupDir on the first write
+    let lastSnapshotAt = null;
+
+    async function init() {
+        await backend.init();
+        if (backend.name === 'sqlite') {
+            await importLegacyJson(backend, dataDir);
+        }
+        await runMigrations(backend, { backupDir, currency });
+    }
+
+    // Parsed data and its index, kept until the backend's signature changes (e.g. a hand edit)
+    let cache = null;
+
+    // Throws when the stored data can't be read instead of pretending it's empty
+    async function readCache() {
+        const signature = await backend.signature();
+        if (cache && cache.signature === signature) return cache;
+
+        const { transactions, settings } = await backend.loadDocument();
+        cache = { signature, transactions, settings, index: buildIndex(transactions) };
+        return cache;
+    }
+
+    // The returned map is shared with the cache and must be treated as read-only
+    async function load() {
+        return (await readCache()).transactions;
+    }
+
+    // Settings stored next to the transactions (e.g. budgets); read-only like load()
+    async function loadSettings() {
+        return (await readCache()).settings;
+    }
+
+    // Snapshot the current state and rotate old snapshots
+    async function snapshot() {
+        const name = await takeSnapshot(backend, backupDir);
+        lastSnapshotAt = Date.now();
+        await pruneBackups(backupDir, retention);
+        return name;
+    }
+
+    // Snapshot the previous state before a write when the newest snapshot is older than the interval
+    async function save(transactions, settings) {
+        if (lastSnapshotAt === null) {
+            const [latest] = (await listBackups(backupDir)).filter(b => b.kind === 'backup');
+            lastSnapshotAt = latest ? Date.parse(latest.createdAt) : 0;
+        }
+        if (Date.now() - lastSnapshotAt >= interval && await backend.hasData()) {
+            await snapshot();
+        }
+        cache = null;
+        await backend.saveDocument({ schemaVersion: CURRENT_SCHEMA_VERSION, transactions, settings });
+        cache = { signature: await backend.signature(), transactions, settings, index: buildIndex(transactions) };
+    }
+
+    // Month key and type for a transaction id, or null
+    async function locateTransaction(id) {
+        return locate((await readCache()).index, id);
+    }
+
+    // Non-recurring transactions within the range, plus every recurring parent
+    async function queryRange(startDate, endDate) {
+        const { index } = await readCache();
+        return {
+            transactions: findInRange(index, startDate, endDate),
+            recurring: index.recurring
+        };
+    }
+
+    function createBackup() {
+        return enqueue(snapshot);
+    }
+
+    // Replace the current data with a backup (migrated to the current schema).
+    // The current state is kept as a pre-restore snapshot so the restore can be undone.
+    function restoreBackup(name) {
+        return enqueue(async () => {
+            if (!(await resolveBackup(backupDir, name))) return null;
+
+            const source = openBackupDriver(backupDir, name);
+            let document;
+            try {
+                await source.init();
+                document = await source.loadDocument();
+            } finally {
+                await source.close();
+            }
+            if (document.schemaVersion === null) {
+                throw new Error(`Backup ${name} is empty`);
+            }
+
+            const migrated = migrateDocument(document, { currency });
+            if (await backend.hasData()) {
+                await takeSnapshot(backend, backupDir, 'pre-restore');
+            }
+            cache = null;
+            await backend.saveDocument(migrated);
+            return name;
+        });
+    }
+
+    // Serialized read-modify-write: the mutator gets a private copy of the latest data (the
+    // transactions, plus the settings and the index of the transactions in its second argument),
+    // and its changes are saved before the next queued update starts. Returning false from the
+    // mutator skips the save.
+    function update(mutator) {
+        return enqueue(async () => {
+            const current = await readCache();
+            const transactions = structuredClone(current.transactions);
+            const settings = structuredClone(current.settings);
+            const result = await mutator(transactions, {
+                settings,
+                locate: (id) => locate(current.index, id)
+            });
+            if (result !== false) {
+                await save(transactions, settings);
+            }
+            return result;
+        });
+    }
+
+    return {
+        driver: backend.name,
+        file: backend.file,
+        backupDir,
+        init,
+        load,
+        loadSettings,
+        save: (transactions, settings) => enqueue(async () => save(transactions, settings ?? (await readCache()).settings)),
+        update,
+        locateTransaction,
+        queryRange,
+        listBackups: () => listBackups(backupDir),
+        resolveBackup: (name) => resolveBackup(backupDir, name),
+        createBackup,
+        restoreBackup,
+        close: () => enqueue(() => backend.close())
+    };
+}
+
+module.exports = { createStorage, ConflictError };
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Default structure used when there is nothing stored yet
+function emptyTransactions() {
+    return {
+        [new Date().toISOString().slice(0, 7)]: {
+            income: [],
+            expenses: []
+        }
+    };
+}
+
+// Stores the whole document in a single JSON file: { schemaVersion, transactions, settings }.
+// Files written before schema versioning hold the bare month-keyed map and count as version 1.
+// settings holds everything that isn't a transaction, such as budgets.
+function createJsonDriver({ dataDir, fileName = 'transactions.json' }) {
+    const file = path.join(dataDir, fileName);
+
+    async function init() {
+        await fs.mkdir(dataDir, { recursive: true });
+    }
+
+    async function exists() {
+        try {
+            await fs.access(file);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async function loadDocument() {
+        let data;
+        try {
+            data = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Nothing stored yet
+                return { schemaVersion: null, transactions: emptyTransactions(), settings: {} };
+            }
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`${file} is not valid JSON: ${error.message}`);
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error(`${file} does not contain a transactions object`);
+        }
+
+        if (typeof parsed.schemaVersion === 'number') {
+            return {
+                schemaVersion: parsed.schemaVersion,
+                transactions: parsed.transactions || {},
+                settings: parsed.settings || {}
+            };
+        }
+        return { schemaVersion: 1, transactions: parsed, settings: {} };
+    }
+
+    // Write to a temp file and rename it over the original so a crash never leaves a truncated file
+    async function saveDocument({ schemaVersion, transactions, settings = {} }) {
+        // Ensure data directory exists before saving
+        await init();
+        const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify({ schemaVersion, transactions, settings }, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        try {
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            await fs.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    // Changes whenever the file is rewritten, by us or by someone editing it by hand
+    async function signature() {
+        try {
+            const { mtimeMs, size } = await fs.stat(file);
+            return `${mtimeMs}:${size}`;
+        } catch {
+            return 'missing';
+        }
+    }
+
+    // Copy the current file as-is to destFile
+    async function snapshot(destFile) {
+        await fs.copyFile(file, destFile);
+    }
+
+    async function close() {}
+
+    return { name: 'json', file, extension: '.json', init, exists, hasData: exists, loadDocument, saveDocument, signature, snapshot, close };
+}
+
+module.exports = { createJsonDriver, emptyTransactions };
@@ -0,0 +1,137 @@
+const { takeSnapshot } = require('./backups');
+const { toMinorUnits } = require('../money');
+
+// Ordered list of schema migrations. Each one upgrades the month-keyed transactions map
+// from the previous version to `version`; `context` carries settings such as the currency.
+// Add new migrations to the end.
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'normalize month arrays, recurring, category and revision fields',
+        up(transactions) {
+            const normalized = {};
+            for (const [month, monthData] of Object.entries(transactions)) {
+                const income = Array.isArray(monthData?.income) ? monthData.income : [];
+                const expenses = Array.isArray(monthData?.expenses) ? monthData.expenses : [];
+                normalized[month] = {
+                    income: income.map(t => normalizeRecord(t, 'income')),
+                    expenses: expenses.map(t => normalizeRecord(t, 'expense'))
+                };
+            }
+            return normalized;
+        }
+    },
+    {
+        version: 3,
+        description: 'store amounts as integer minor units',
+        up(transactions, { currency }) {
+            return mapRecords(transactions, t => ({ ...t, amount: toMinorUnits(t.amount, currency) }));
+        }
+    },
+    {
+        // Transactions are unchanged; the version keeps older releases from saving over (and dropping) settings
+        version: 4,
+        description: 'keep settings such as budgets next to transactions',
+        up(transactions) {
+            return transactions;
+        }
+    },
+    {
+        // Editing the date of a transaction used to leave it under its old month
+        version: 5,
+        description: 'move transactions filed under another month than their date',
+        up(transactions) {
+            // Hand-edited months or lists that aren't in shape are left for the integrity check
+            const wellFormed = (monthData, list) => Array.isArray(monthData?.[list]);
+            const refiled = {};
+            for (const [month, monthData] of Object.entries(transactions)) {
+                refiled[month] = monthData && typeof monthData === 'object' && !Array.isArray(monthData)
+                    ? {
+                        ...monthData,
+                        income: wellFormed(monthData, 'income') ? [] : monthData.income,
+                        expenses: wellFormed(monthData, 'expenses') ? [] : monthData.expenses
+                    }
+                    : monthData;
+            }
+            for (const [month, monthData] of Object.entries(transactions)) {
+                for (const list of ['income', 'expenses']) {
+                    if (!wellFormed(monthData, list)) continue;
+                    for (const record of monthData[list]) {
+                        const target = /^\d{4}-\d{2}-\d{2}$/.test(record?.date) ? record.date.slice(0, 7) : month;
+                        const into = wellFormed(refiled[target], list) || !refiled[target] ? target : month;
+                        if (!refiled[into]) {
+                            refiled[into] = { income: [], expenses: [] };
+                        }
+                        refiled[into][list].push(record);
+                    }
+                }
+            }
+            return refiled;
+        }
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Apply fn to every income and expense record
+function mapRecords(transactions, fn) {
+    const mapped = {};
+    for (const [month, monthData] of Object.entries(transactions)) {
+        mapped[month] = {
+            ...monthData,
+            income: monthData.income.map(t => fn(t, 'income')),
+            expenses: monthData.expenses.map(t => fn(t, 'expense'))
+        };
+    }
+    return mapped;
+}
+
+// Every record has `recurring` (object or null) and `category` (string or null for income)
+function normalizeRecord(transaction, type) {
+    const record = { ...transaction };
+    if (typeof record.amount === 'string') {
+        record.amount = parseFloat(record.amount);
+    }
+    record.recurring = record.recurring?.pattern
+        ? { pattern: record.recurring.pattern, until: record.recurring.until || null }
+        : null;
+    record.category = type === 'income' ? null : (record.category || 'Other');
+    record.revision = record.revision || 1;
+    return record;
+}
+
+// Upgrade a { schemaVersion, transactions, settings } document in memory
+function migrateDocument({ schemaVersion, transactions, settings = {} }, context) {
+    if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(
+            `Data schema version ${schemaVersion} is newer than this release supports (${CURRENT_SCHEMA_VERSION}). ` +
+            'Upgrade DumbBudget or restore a backup.'
+        );
+    }
+
+    let migrated = transactions;
+    let version = schemaVersion;
+    for (const migration of MIGRATIONS.filter(m => m.version > schemaVersion)) {
+        migrated = migration.up(migrated, context);
+        version = migration.version;
+        console.log(`Migrated data to schema version ${version}: ${migration.description}`);
+    }
+    return { schemaVersion: version, transactions: migrated, settings };
+}
+
+// Upgrade the stored data to CURRENT_SCHEMA_VERSION, taking a snapshot in backupDir first
+async function runMigrations(driver, { backupDir, currency }) {
+    const document = await driver.loadDocument();
+
+    // Nothing stored yet; the first save writes the current version
+    if (document.schemaVersion === null || document.schemaVersion === CURRENT_SCHEMA_VERSION) return;
+
+    if (document.schemaVersion < CURRENT_SCHEMA_VERSION) {
+        const backup = await takeSnapshot(driver, backupDir, `pre-migration-v${document.schemaVersion}`);
+        console.log(`Backed up data to ${backup} before migrating`);
+    }
+
+    await driver.saveDocument(migrateDocument(document, { currency }));
+}
+
+module.exports = { runMigrations, migrateDocument, CURRENT_SCHEMA_VERSION };
@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { emptyTransactions } = require('./json-driver');
+
+// better-sqlite3 is an optional dependency, only required when this driver is selected
+function openDatabase(file, options) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    return new Database(file, options);
+}
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS transactions (
+        id TEXT,
+        month TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+        date TEXT,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_transactions_id ON transactions (id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_month ON transactions (month);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions (date);
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+// Stores one row per transaction; the full record is kept as JSON in the data column.
+// Settings such as budgets are kept as one JSON value in the meta table.
+// With readonly set, an existing database (e.g. a backup) is opened without modifying it.
+function createSqliteDriver({ dataDir, fileName = 'dumbbudget.db', readonly = false }) {
+    const file = path.join(dataDir, fileName);
+    let db = null;
+    // Rows as this connection last wrote them, { version, rows: Map<id, row[]> }, so a save doesn't
+    // read the whole table back. Another connection's commit changes data_version and drops it.
+    let written = null;
+
+    async function init() {
+        if (readonly) {
+            db = openDatabase(file, { readonly: true, fileMustExist: true });
+            return;
+        }
+        await fs.mkdir(dataDir, { recursive: true });
+        db = openDatabase(file);
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+    }
+
+    async function isEmpty() {
+        return db.prepare('SELECT COUNT(*) AS count FROM transactions').get().count === 0;
+    }
+
+    async function hasData() {
+        return !(await isEmpty());
+    }
+
+    async function getMeta(key) {
+        const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    async function setMeta(key, value) {
+        db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+            .run(key, String(value));
+    }
+
+    async function readTransactions() {
+        const rows = db.prepare('SELECT month, type, data FROM transactions ORDER BY month, type, position').all();
+        if (rows.length === 0) {
+            return emptyTransactions();
+        }
+
+        const transactions = {};
+        for (const row of rows) {
+            if (!transactions[row.month]) {
+                transactions[row.month] = { income: [], expenses: [] };
+            }
+            const list = row.type === 'income' ? transactions[row.month].income : transactions[row.month].expenses;
+            list.push(JSON.parse(row.data));
+        }
+        return transactions;
+    }
+
+    // The schema version lives in the meta table; databases created before versioning count as version 1
+    async function loadDocument() {
+        const storedVersion = await getMeta('schema_version');
+        let schemaVersion = storedVersion ? parseInt(storedVersion, 10) : null;
+        if (schemaVersion === null && !(await isEmpty())) {
+            schemaVersion = 1;
+        }
+        const settings = await getMeta('settings');
+        return { schemaVersion, transactions: await readTransactions(), settings: settings ? JSON.parse(settings) : {} };
+    }
+
+    // Stored rows by id; hand-edited data may repeat an id or leave it out
+    function readRows() {
+        const rows = new Map();
+        for (const row of db.prepare('SELECT rowid, id, month, type, date, position, data FROM transactions').iterate()) {
+            if (!rows.has(row.id)) rows.set(row.id, []);
+            rows.get(row.id).push(row);
+        }
+        return rows;
+    }
+
+    // Writes only what changed: stored rows are matched to records by transaction id and updated
+    // when the record or its place differs, new records are inserted and rows left over are deleted
+    async function saveDocument({ schemaVersion, transactions, settings = {} }) {
+        const insert = db.prepare(
+            'INSERT INTO transactions (id, month, type, date, position, data) VALUES (?, ?, ?, ?, ?, ?)'
+        );
+        const update = db.prepare(
+            'UPDATE transactions SET id = ?, month = ?, type = ?, date = ?, position = ?, data = ? WHERE rowid = ?'
+        );
+        const remove = db.prepare('DELETE FROM transactions WHERE rowid = ?');
+        const setMetaValue = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+        const writeChanges = db.transaction((data) => {
+            const version = db.pragma('data_version', { simple: true });
+            const stored = written?.version === version ? written.rows : readRows();
+            // Matching below consumes the stored rows, so they are only valid again once the write succeeds
+            written = null;
+            const rows = new Map();
+
+            for (const [month, monthData] of Object.entries(data)) {
+                for (const [list, type] of [['income', 'income'], ['expenses', 'expense']]) {
+                    (monthData?.[list] || []).forEach((t, position) => {
+                        const id = t.id ?? null;
+                        const date = t.date ?? null;
+                        const json = JSON.stringify(t);
+                        let row = stored.get(id)?.shift();
+                        if (!row) {
+                            const { lastInsertRowid } = insert.run(id, month, type, date, position, json);
+                            row = { rowid: lastInsertRowid, id, month, type, date, position, data: json };
+                        } else if (row.month !== month || row.type !== type || row.date !== date || row.position !== position || row.data !== json) {
+                            update.run(id, month, type, date, position, json, row.rowid);
+                            Object.assign(row, { id, month, type, date, position, data: json });
+                        }
+                        if (!rows.has(id)) rows.set(id, []);
+                        rows.get(id).push(row);
+                    });
+                }
+            }
+            for (const leftover of stored.values()) {
+                leftover.forEach(row => remove.run(row.rowid));
+            }
+            setMetaValue.run('schema_version', String(schemaVersion));
+            setMetaValue.run('settings', JSON.stringify(settings));
+            return { version, rows };
+        });
+        written = writeChanges(transactions);
+    }
+
+    // data_version changes when another connection commits, so external edits are noticed
+    async function signature() {
+        return String(db.pragma('data_version', { simple: true }));
+    }
+
+    // Consistent copy of the whole database to destFile (written in rollback-journal mode,
+    // so opening it later doesn't leave -wal/-shm files next to it)
+    async function snapshot(destFile) {
+        db.prepare('VACUUM INTO ?').run(destFile);
+    }
+
+    async function close() {
+        if (db) {
+            db.close();
+            db = null;
+            written = null;
+        }
+    }
+
+    return { name: 'sqlite', file, extension: '.db', init, isEmpty, hasData, getMeta, setMeta, loadDocument, saveDocument, signature, snapshot, close };
+}
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,59 @@
+// In-memory lookup structures over the month-keyed transactions map.
+// Rebuilt whenever the data changes; the map itself stays the source of truth.
+function buildIndex(transactions) {
+    const byId = new Map();
+    const byDate = [];
+    const recurring = [];
+
+    for (const [month, monthData] of Object.entries(transactions)) {
+        for (const [list, type] of [[monthData?.income, 'income'], [monthData?.expenses, 'expense']]) {
+            if (!Array.isArray(list)) continue;
+            for (const transaction of list) {
+                if (!transaction || typeof transaction !== 'object') continue;
+                if (transaction.id && !byId.has(transaction.id)) {
+                    byId.set(transaction.id, { month, type });
+                }
+                if (transaction.recurring?.pattern) {
+                    recurring.push({ transaction, type });
+                } else if (typeof transaction.date === 'string') {
+                    byDate.push({ transaction, type });
+                }
+            }
+        }
+    }
+
+    byDate.sort((a, b) => a.transaction.date.localeCompare(b.transaction.date));
+    return { byId, byDate, recurring };
+}
+
+// Month key and type of a transaction, or null when the id is unknown
+function locate(index, id) {
+    return index.byId.get(id) || null;
+}
+
+// First position in byDate whose date is >= date
+function lowerBound(byDate, date) {
+    let low = 0;
+    let high = byDate.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (byDate[mid].transaction.date < date) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+// Non-recurring transactions dated within [startDate, endDate], as { transaction, type } pairs
+function findInRange(index, startDate, endDate) {
+    const results = [];
+    for (let i = lowerBound(index.byDate, startDate); i < index.byDate.length; i++) {
+        if (index.byDate[i].transaction.date > endDate) break;
+        results.push(index.byDate[i]);
+    }
+    return results;
+}
+
+module.exports = { buildIndex, locate, findInRange };
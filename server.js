@@ -5,10 +5,27 @@ const helmet = require('helmet');
 const crypto = require('crypto');
 const path = require('path');
 const cookieParser = require('cookie-parser');
-const fs = require('fs').promises;
 const cors = require('cors');
 const { getCorsOptions, originValidationMiddleware } = require('./scripts/cors');
 const { generatePWAManifest } = require('./scripts/pwa-manifest-generator');
+const { createStorage, ConflictError } = require('./scripts/storage');
+const { toMinorUnits, fromMinorUnits } = require('./scripts/money');
+const { checkIntegrity } = require('./scripts/integrity');
+const { isRRule, parseRRule, expandRRule, hasOccurrence } = require('./scripts/rrule');
+const { parseNaturalDate } = require('./scripts/natural-date');
+const { BUSINESS_DAY_RULES, MAX_SHIFT, createHolidayCalendar, adjustToBusinessDay } = require('./scripts/business-days');
+const { readCsv } = require('./scripts/importers/csv');
+const { readOfx } = require('./scripts/importers/ofx');
+const { JOURNAL_FORMATS, isValidAssetAccount, toJournal } = require('./scripts/exporters/journal');
+const { toICalendar } = require('./scripts/exporters/ical');
+const { markDuplicates } = require('./scripts/importers/duplicates');
+const { isMonthString, spendingStart, summarizeBudgets, moveBudget } = require('./scripts/budgets');
+const {
+    CATEGORY_TYPES, listCategories, categoryPaths, formatCategoryPath, subtreeOf, categoryTotals, moveTransactions
+} = require('./scripts/categories');
+const {
+    TITLE_OPERATORS, AMOUNT_OPERATORS, MAX_PATTERN_LENGTH, toRegExp, isUnsafePattern, categorize, ruleChanges, moveRules
+} = require('./scripts/rules');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,9 +41,33 @@ const ASSETS_DIR = path.join(PUBLIC_DIR, 'assets');
 const projectName = require('./package.json').name.toUpperCase().replace(/-/g, '_');
 const PIN = process.env[`${projectName}_PIN`];
 
+// Supported currencies list - must match client-side list
+const SUPPORTED_CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'AUD', 
+    'CAD', 'CHF', 'CNY', 'HKD', 'NZD',
+    'MXN', 'RUB', 'SGD', 'KRW', 'INR',
+    'BRL', 'ZAR', 'TRY', 'PLN', 'SEK',
+    'NOK', 'DKK', 'IDR', 'PHP'
+];
+const CURRENCY = SUPPORTED_CURRENCIES.includes(process.env.CURRENCY) ? process.env.CURRENCY : 'USD';
+
+// Asset account that ledger/hledger/beancount exports post against
+const JOURNAL_ASSET_ACCOUNT = isValidAssetAccount(process.env.JOURNAL_ASSET_ACCOUNT) ? process.env.JOURNAL_ASSET_ACCOUNT : 'Assets:Checking';
+
+// Store due occurrences of recurring series as pending transactions the user confirms
+const AUTO_POST_RECURRING = (process.env.AUTO_POST_RECURRING || '').toLowerCase() === 'true';
+
+// Token for the subscribable calendar feed (/api/calendar/feed.ics); the feed is off when unset
+const CALENDAR_FEED_TOKEN = process.env.CALENDAR_FEED_TOKEN || '';
+
 // Ensure data directory exists
 const DATA_DIR = path.join(__dirname, 'data');
-const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+// Bank holidays for business-day adjustment of recurring dates (data/holidays.ics or data/holidays.json)
+const holidays = createHolidayCalendar(DATA_DIR);
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+
+// Command line mode (e.g. `node server.js check`) runs a maintenance task instead of the server
+const CLI_COMMAND = process.argv[2] || null;
 
 // Debug logging setup
 const DEBUG = process.env.DEBUG === 'TRUE';
@@ -55,38 +96,55 @@ const BASE_PATH = (() => {
     }
 })();
 
-async function ensureDataDir() {
-    try {
-        await fs.access(DATA_DIR);
-    } catch {
-        await fs.mkdir(DATA_DIR);
-    }
-}
+// Storage backend (json or sqlite) selected with STORAGE_DRIVER
+const storage = createStorage({
+    driver: STORAGE_DRIVER,
+    dataDir: DATA_DIR,
+    backupRetention: process.env.BACKUP_RETENTION,
+    backupInterval: process.env.BACKUP_INTERVAL,
+    currency: CURRENCY
+});
 
-async function loadTransactions() {
-    try {
-        await fs.access(TRANSACTIONS_FILE);
-        const data = await fs.readFile(TRANSACTIONS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        // If file doesn't exist or is invalid, return empty structure
-        return {
-            [new Date().toISOString().slice(0, 7)]: {
-                income: [],
-                expenses: []
-            }
+// Amounts are stored as integer minor units of CURRENCY; the API sends and receives decimals
+function toApiTransaction(transaction) {
+    const result = { ...transaction, amount: fromMinorUnits(transaction.amount, CURRENCY) };
+    if (transaction.recurring?.exceptions) {
+        const exceptions = {};
+        for (const [date, exception] of Object.entries(transaction.recurring.exceptions)) {
+            exceptions[date] = exception.amount === undefined
+                ? exception
+                : { ...exception, amount: fromMinorUnits(exception.amount, CURRENCY) };
+        }
+        result.recurring = { ...transaction.recurring, exceptions };
+    }
+    if (transaction.recurring?.amounts) {
+        result.recurring = {
+            ...result.recurring,
+            amounts: transaction.recurring.amounts.map(entry => ({ ...entry, amount: fromMinorUnits(entry.amount, CURRENCY) }))
         };
     }
+    if (transaction.recurring?.amount !== undefined) {
+        result.recurring = { ...result.recurring, amount: fromMinorUnits(transaction.recurring.amount, CURRENCY) };
+    }
+    return result;
 }
 
-async function saveTransactions(transactions) {
-    // Ensure data directory exists before saving
-    await ensureDataDir();
-    await fs.writeFile(TRANSACTIONS_FILE, JSON.stringify(transactions, null, 2));
+// Totals are summed in integer minor units and only converted to decimals at the end
+function calculateTotals(incomeTransactions, expenseTransactions) {
+    const income = incomeTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const expenses = expenseTransactions.reduce((sum, t) => sum + t.amount, 0);
+    return {
+        income: fromMinorUnits(income, CURRENCY),
+        expenses: fromMinorUnits(expenses, CURRENCY),
+        balance: fromMinorUnits(income - expenses, CURRENCY)
+    };
 }
 
-// Initialize data directory
-ensureDataDir().catch(console.error);
+// Reads go through loadTransactions(); mutations go through storage.update() so
+// concurrent requests are applied one after another instead of overwriting each other
+async function loadTransactions() {
+    return storage.load();
+}
 
 // Log whether PIN protection is enabled
 if (!PIN || PIN.trim() === '') {
@@ -125,7 +183,9 @@ function recordAttempt(ip) {
     loginAttempts.set(ip, attempts);
 }
 
-generatePWAManifest(SITE_INSTANCE_TITLE);
+if (!CLI_COMMAND) {
+    generatePWAManifest(SITE_INSTANCE_TITLE);
+}
 
 // Middleware
 // Trust proxy - required for secure cookies behind a reverse proxy
@@ -152,7 +212,8 @@ app.use(helmet({
     xssFilter: false
 }));
 
-app.use(express.json());
+// Imported files arrive as text inside the JSON body, so allow more than the 100kb default
+app.use(express.json({ limit: '10mb' }));
 app.use(cookieParser());
 
 // Session configuration - simplified like DumbDrop
@@ -315,43 +376,17 @@ setInterval(() => {
 
 // Helper function to get transactions within date range
 async function getTransactionsInRange(startDate, endDate) {
-    const transactions = await loadTransactions();
-    const allTransactions = [];
-    const recurringTransactions = [];
-    
-    // Collect all transactions within the date range
-    Object.values(transactions).forEach(month => {
-        // Safely handle income transactions
-        if (month && Array.isArray(month.income)) {
-            month.income.forEach(t => {
-                if (t.recurring?.pattern) {
-                    // For recurring transactions, only add to recurring array
-                    recurringTransactions.push({ ...t, type: 'income' });
-                } else if (t.date >= startDate && t.date <= endDate) {
-                    // For non-recurring, add to all transactions if in range
-                    allTransactions.push({ ...t, type: 'income' });
-                }
-            });
-        }
-        
-        // Safely handle expense transactions
-        if (month && Array.isArray(month.expenses)) {
-            month.expenses.forEach(t => {
-                if (t.recurring?.pattern) {
-                    // For recurring transactions, only add to recurring array
-                    recurringTransactions.push({ ...t, type: 'expense' });
-                } else if (t.date >= startDate && t.date <= endDate) {
-                    // For non-recurring, add to all transactions if in range
-                    allTransactions.push({ ...t, type: 'expense' });
-                }
-            });
-        }
-    });
+    await holidays.refresh();
+    // The storage index keeps non-recurring transactions sorted by date and recurring parents separate
+    const { transactions, recurring } = await storage.queryRange(startDate, endDate);
+    const allTransactions = transactions.map(({ transaction, type }) => ({ ...transaction, type }));
+    const recurringTransactions = recurring.map(({ transaction, type }) => ({ ...transaction, type }));
     
-    // Generate recurring instances
+    // Generate recurring instances; occurrences up to recurring.postedThrough are stored transactions already
     const recurringInstances = [];
     for (const transaction of recurringTransactions) {
-        recurringInstances.push(...generateRecurringInstances(transaction, startDate, endDate));
+        recurringInstances.push(...generateRecurringInstances(transaction, startDate, endDate)
+            .filter(instance => !isPostedDate(transaction, instance.date)));
     }
     
     // Combine all transactions and instances
@@ -368,105 +403,81 @@ app.post(BASE_PATH + '/api/transactions', authMiddleware, async (req, res) => {
         if (!type || !amount || !title || !date) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
+        if (!isDateString(date)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
         if (type !== 'income' && type !== 'expense') {
             return res.status(400).json({ error: 'Invalid transaction type' });
         }
-        if (type === 'expense' && !category) {
-            return res.status(400).json({ error: 'Category required for expenses' });
+        const amountMinor = toMinorUnits(amount, CURRENCY);
+        if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+            return res.status(400).json({ error: 'Invalid amount' });
         }
 
-        // Validate recurring pattern if present
-        if (recurring?.pattern) {
-            const isValidRegular = /every (\d+) (day|week|month|year)s?(?: on (\w+))?/.test(recurring.pattern);
-            const isValidMonthDay = /every (\d+)(?:st|nd|rd|th) of the month/.test(recurring.pattern);
-            
-            if (!isValidRegular && !isValidMonthDay) {
-                return res.status(400).json({ error: 'Invalid recurring pattern format' });
-            }
-            if (recurring.until && isNaN(new Date(recurring.until).getTime())) {
-                return res.status(400).json({ error: 'Invalid until date format' });
-            }
+        // Without a category the auto-categorization rules pick one
+        const { rules = [] } = await storage.loadSettings();
+        const chosenCategory = category || categorize(rules, { type, title, amount: amountMinor });
+        if (type === 'expense' && !chosenCategory) {
+            return res.status(400).json({ error: 'Category required for expenses' });
         }
 
-        // For recurring transactions with a weekday pattern, adjust the date to the first occurrence
-        let adjustedDate = date;
-        if (recurring?.pattern) {
-            const pattern = parseRecurringPattern(recurring.pattern);
-            if (pattern.unit === 'week' && pattern.dayOfWeek) {
-                const [year, month, day] = date.split('-');
-                const selectedDate = new Date(year, month - 1, day);
-                const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-                const targetDay = weekdays.indexOf(pattern.dayOfWeek);
-                const currentDay = selectedDate.getDay();
-                
-                // Calculate days to add to reach the target weekday
-                let daysToAdd = targetDay - currentDay;
-                if (daysToAdd < 0) {
-                    daysToAdd += 7; // Move to next week if target day has passed
-                }
-                
-                // Adjust the date
-                selectedDate.setDate(selectedDate.getDate() + daysToAdd);
-                adjustedDate = selectedDate.toISOString().split('T')[0];
-            } else if (pattern.unit === 'monthday') {
-                // For day-of-month pattern, adjust to the first occurrence
-                const [year, month] = date.split('-');
-                const selectedDate = new Date(year, month - 1, pattern.dayOfMonth);
-                
-                // If the selected day has passed in the current month, move to next month
-                if (selectedDate < new Date(date)) {
-                    selectedDate.setMonth(selectedDate.getMonth() + 1);
-                }
-                
-                adjustedDate = selectedDate.toISOString().split('T')[0];
-            }
+        const recurringError = recurringRequestError(recurring, date);
+        if (recurringError) {
+            return res.status(400).json({ error: recurringError });
         }
 
-        const transactions = await loadTransactions() || {};
+        // For recurring transactions with a weekday or day-of-month pattern, adjust the date to the first occurrence
+        const adjustedDate = recurring?.pattern ? alignToPattern(date, recurring.pattern) : date;
+
         const [year, month] = adjustedDate.split('-');
         const key = `${year}-${month}`;
 
-        // Initialize month structure if it doesn't exist
-        if (!transactions[key]) {
-            transactions[key] = {
-                income: [],
-                expenses: []
-            };
-        }
-
-        // Ensure arrays exist
-        if (!Array.isArray(transactions[key].income)) {
-            transactions[key].income = [];
-        }
-        if (!Array.isArray(transactions[key].expenses)) {
-            transactions[key].expenses = [];
-        }
-
         // Add transaction
         const newTransaction = {
             id: crypto.randomUUID(),
-            amount: parseFloat(amount),
+            amount: amountMinor,
             title,
-            date: adjustedDate
+            date: adjustedDate,
+            category: chosenCategory || null,
+            recurring: null,
+            revision: 1
         };
 
         // Add recurring information if present
         if (recurring?.pattern) {
             newTransaction.recurring = {
                 pattern: recurring.pattern,
-                until: recurring.until || null
+                until: recurring.until || null,
+                ...businessDayRule(recurring.businessDay),
+                ...parseRecurringSchedule(recurring)
             };
         }
 
-        if (type === 'expense') {
-            newTransaction.category = category;
-            transactions[key].expenses.push(newTransaction);
-        } else {
-            transactions[key].income.push(newTransaction);
-        }
+        await storage.update((transactions) => {
+            // Initialize month structure if it doesn't exist
+            if (!transactions[key]) {
+                transactions[key] = {
+                    income: [],
+                    expenses: []
+                };
+            }
+
+            // Ensure arrays exist
+            if (!Array.isArray(transactions[key].income)) {
+                transactions[key].income = [];
+            }
+            if (!Array.isArray(transactions[key].expenses)) {
+                transactions[key].expenses = [];
+            }
 
-        await saveTransactions(transactions);
-        res.status(201).json(newTransaction);
+            if (type === 'expense') {
+                transactions[key].expenses.push(newTransaction);
+            } else {
+                transactions[key].income.push(newTransaction);
+            }
+        });
+
+        res.status(201).json(toApiTransaction(newTransaction));
     } catch (error) {
         console.error('Error adding transaction:', error);
         res.status(500).json({ error: 'Failed to add transaction' });
@@ -487,7 +498,7 @@ app.get(BASE_PATH + '/api/transactions/:year/:month', authMiddleware, async (req
             ...monthData.expenses.map(t => ({ ...t, type: 'expense' }))
         ].sort((a, b) => new Date(b.date) - new Date(a.date));
 
-        res.json(allTransactions);
+        res.json(allTransactions.map(toApiTransaction));
     } catch (error) {
         console.error('Error fetching transactions:', error);
         res.status(500).json({ error: 'Failed to fetch transactions' });
@@ -502,13 +513,7 @@ app.get(BASE_PATH + '/api/totals/:year/:month', authMiddleware, async (req, res)
         
         const monthData = transactions[key] || { income: [], expenses: [] };
         
-        const totals = {
-            income: monthData.income.reduce((sum, t) => sum + t.amount, 0),
-            expenses: monthData.expenses.reduce((sum, t) => sum + t.amount, 0),
-            balance: 0
-        };
-        
-        totals.balance = totals.income - totals.expenses;
+        const totals = calculateTotals(monthData.income, monthData.expenses);
         
         res.json(totals);
     } catch (error) {
@@ -519,6 +524,12 @@ app.get(BASE_PATH + '/api/totals/:year/:month', authMiddleware, async (req, res)
 
 // Helper function to parse recurring pattern
 function parseRecurringPattern(pattern) {
+    // iCalendar RRULE strings such as "FREQ=MONTHLY;BYDAY=-1FR" (parseRRule throws if unsupported)
+    if (isRRule(pattern)) {
+        const rule = parseRRule(pattern);
+        return { interval: rule.interval, unit: 'rrule', rule };
+    }
+
     // Try matching the existing pattern first
     const weeklyMatches = pattern.match(/every (\d+) (day|week|month|year)s?(?: on (\w+))?/);
     
@@ -544,12 +555,259 @@ function parseRecurringPattern(pattern) {
     throw new Error('Invalid recurring pattern');
 }
 
-// Helper function to generate recurring instances
-function generateRecurringInstances(transaction, startDate, endDate) {
+// First date on or after date that matches a weekday, day-of-month or RRULE pattern; other patterns start on date itself
+function alignToPattern(date, recurringPattern) {
+    const pattern = parseRecurringPattern(recurringPattern);
+    if (pattern.unit === 'rrule') {
+        // Look up to ten years ahead; a rule with no occurrence in that time keeps the date as entered
+        const [year] = date.split('-');
+        const [first] = expandRRule(pattern.rule, date, date, `${parseInt(year, 10) + 10}${date.slice(4)}`, 1);
+        return first || date;
+    }
+    if (pattern.unit === 'week' && pattern.dayOfWeek) {
+        const [year, month, day] = date.split('-');
+        const selectedDate = new Date(year, month - 1, day);
+        const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        const targetDay = weekdays.indexOf(pattern.dayOfWeek);
+        const currentDay = selectedDate.getDay();
+        
+        // Calculate days to add to reach the target weekday
+        let daysToAdd = targetDay - currentDay;
+        if (daysToAdd < 0) {
+            daysToAdd += 7; // Move to next week if target day has passed
+        }
+        
+        // Adjust the date
+        selectedDate.setDate(selectedDate.getDate() + daysToAdd);
+        return selectedDate.toISOString().split('T')[0];
+    }
+    if (pattern.unit === 'monthday') {
+        // For day-of-month pattern, adjust to the first occurrence
+        const [year, month] = date.split('-');
+        const selectedDate = new Date(year, month - 1, pattern.dayOfMonth);
+        
+        // If the selected day has passed in the current month, move to next month
+        if (selectedDate < new Date(date)) {
+            selectedDate.setMonth(selectedDate.getMonth() + 1);
+        }
+        
+        return selectedDate.toISOString().split('T')[0];
+    }
+    return date;
+}
+
+// A pattern is valid when it parses and describes a series that actually advances; an RRULE must
+// also have an occurrence within its first few cycles from startDate (today when omitted)
+function isValidRecurringPattern(pattern, startDate = new Date().toISOString().split('T')[0]) {
+    try {
+        const parsed = parseRecurringPattern(pattern);
+        if (parsed.unit === 'rrule') {
+            return hasOccurrence(parsed.rule, startDate);
+        }
+        if (parsed.unit === 'monthday') {
+            return parsed.dayOfMonth >= 1 && parsed.dayOfMonth <= 31;
+        }
+        const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        return parsed.interval >= 1 && (!parsed.dayOfWeek || weekdays.includes(parsed.dayOfWeek));
+    } catch {
+        return false;
+    }
+}
+
+// The pattern without the parts that end an RRULE (COUNT and UNTIL); other patterns are unchanged
+function openEndedPattern(pattern) {
+    if (!isRRule(pattern)) return pattern;
+    return pattern.trim().replace(/^RRULE:/i, '').split(';')
+        .filter(part => part && !/^(COUNT|UNTIL)=/i.test(part))
+        .join(';');
+}
+
+// An occurrence count must be used up within this many years of the series' start
+const MAX_COUNT_YEARS = 100;
+
+// Date of the last occurrence a series' count allows (the smaller of recurring.count and the RRULE's
+// COUNT), ignoring its end date. Skipped and paused occurrences use up the count as well. Null when
+// there is no count or it is not reached within MAX_COUNT_YEARS.
+function countEndDate(transaction) {
+    const pattern = parseRecurringPattern(transaction.recurring.pattern);
+    const count = [transaction.recurring.count, pattern.rule?.count].filter(Boolean).sort((a, b) => a - b)[0];
+    if (!count) return null;
+    const plain = {
+        ...transaction,
+        recurring: { ...transaction.recurring, until: null, exceptions: {}, pauses: [] }
+    };
+    const horizon = `${Number(transaction.date.slice(0, 4)) + MAX_COUNT_YEARS}${transaction.date.slice(4)}`;
+    const instances = generateRecurringInstances(plain, transaction.date, horizon, { scheduled: true, limit: count });
+    return instances.length === count ? instances[count - 1].date : null;
+}
+
+// Last date a series can have an occurrence on: the earliest of its end date, the RRULE's UNTIL
+// and its last occurrence under an occurrence count. Null when it repeats indefinitely.
+function seriesEndDate(transaction) {
+    const pattern = parseRecurringPattern(transaction.recurring.pattern);
+    return [countEndDate(transaction), pattern.rule?.until, transaction.recurring.until].filter(Boolean).sort()[0] || null;
+}
+
+// Fields an exception may override for a single occurrence of a series
+const OCCURRENCE_FIELDS = ['amount', 'title', 'category'];
+
+function occurrenceOverrides(exception) {
+    const overrides = {};
+    for (const field of OCCURRENCE_FIELDS) {
+        if (exception && exception[field] !== undefined) {
+            overrides[field] = exception[field];
+        }
+    }
+    return overrides;
+}
+
+// Whether a series has an occurrence scheduled on date (before any business-day move), ignoring exceptions
+function isOccurrenceDate(transaction, date) {
+    const series = { ...transaction, recurring: { ...transaction.recurring, exceptions: {} } };
+    return generateRecurringInstances(series, date, date, { scheduled: true }).length > 0;
+}
+
+// The businessDay setting to store for a series; "none" is the default and isn't stored
+function businessDayRule(rule) {
+    return rule && rule !== 'none' ? { businessDay: rule } : {};
+}
+
+// The count and amounts settings to store from a request's recurring object (amounts in minor units,
+// sorted by date), or { error } when either is invalid. count limits the series to that many
+// occurrences; each amounts entry sets the amount of occurrences from its date on.
+function parseRecurringSchedule(recurring) {
+    const schedule = {};
+    if (recurring.count !== undefined && recurring.count !== null && recurring.count !== '') {
+        const count = Number(recurring.count);
+        if (!Number.isInteger(count) || count < 1) {
+            return { error: 'Occurrence count must be a positive whole number' };
+        }
+        schedule.count = count;
+    }
+    if (recurring.amounts !== undefined && recurring.amounts !== null) {
+        if (!Array.isArray(recurring.amounts)) {
+            return { error: 'Amount schedule must be a list of { from, amount } entries' };
+        }
+        const amounts = [];
+        for (const entry of recurring.amounts) {
+            if (!isDateString(entry?.from)) {
+                return { error: 'Invalid amount schedule date. Use YYYY-MM-DD' };
+            }
+            const amount = toMinorUnits(entry.amount, CURRENCY);
+            if (!Number.isFinite(amount) || amount <= 0) {
+                return { error: 'Invalid amount in amount schedule' };
+            }
+            if (amounts.some(existing => existing.from === entry.from)) {
+                return { error: 'The amount schedule has more than one amount for the same date' };
+            }
+            amounts.push({ from: entry.from, amount });
+        }
+        if (amounts.length > 0) {
+            schedule.amounts = amounts.sort((a, b) => a.from.localeCompare(b.from));
+        }
+    }
+    return schedule;
+}
+
+// Error for the recurring object of a POST or PUT body for a series starting on startDate, or
+// null when it is valid (or absent)
+function recurringRequestError(recurring, startDate) {
+    if (!recurring?.pattern) return null;
+    if (!isValidRecurringPattern(recurring.pattern, startDate)) {
+        return 'Invalid recurring pattern format';
+    }
+    if (recurring.until && !isDateString(recurring.until)) {
+        return 'Invalid until date format';
+    }
+    if (recurring.businessDay && !BUSINESS_DAY_RULES.includes(recurring.businessDay)) {
+        return 'Invalid business day rule';
+    }
+    const schedule = parseRecurringSchedule(recurring);
+    if (schedule.error) return schedule.error;
+    const counted = parseRecurringPattern(recurring.pattern).rule?.count || schedule.count;
+    if (counted && !countEndDate({ date: startDate, recurring: { pattern: recurring.pattern, count: schedule.count } })) {
+        return `The occurrence count is not reached within ${MAX_COUNT_YEARS} years`;
+    }
+    return null;
+}
+
+// Amount of a series' occurrence on date: the latest amount schedule entry in effect, else the series amount
+function scheduledAmount(transaction, date) {
+    const entries = (transaction.recurring?.amounts || []).filter(entry => entry.from <= date);
+    return entries.length > 0 ? entries[entries.length - 1].amount : transaction.amount;
+}
+
+// Whether date falls in one of the series' pauses (inclusive; a pause without until is open-ended)
+function isPausedDate(transaction, date) {
+    return (transaction.recurring?.pauses || []).some(pause =>
+        pause.from <= date && (!pause.until || date <= pause.until)
+    );
+}
+
+// Whether the occurrence on date has already been stored as a transaction (see postDueOccurrences).
+// Series posted before postedFrom was recorded count as posted from their start.
+function isPostedDate(transaction, date) {
+    const { postedFrom, postedThrough } = transaction.recurring || {};
+    return Boolean(postedThrough) && date <= postedThrough && (!postedFrom || date >= postedFrom);
+}
+
+// One generated occurrence of a series, or null when an exception or a pause skips that date
+function buildRecurringInstance(transaction, dateStr) {
+    // Per-occurrence exceptions skip this date or override some of its fields
+    const exception = transaction.recurring.exceptions?.[dateStr];
+    if (exception?.skip || isPausedDate(transaction, dateStr)) return null;
+    return {
+        ...transaction,
+        amount: scheduledAmount(transaction, dateStr),
+        ...occurrenceOverrides(exception),
+        id: `${transaction.id}-${dateStr}`,
+        date: dateStr,
+        // The series' own amount, since an amount schedule or exception may change this occurrence's
+        recurring: { ...transaction.recurring, startDate: transaction.date, amount: transaction.amount },
+        isRecurringInstance: true,
+        isException: Boolean(exception),
+        recurringParentId: transaction.id
+    };
+}
+
+// Helper function to generate recurring instances.
+// Series with a businessDay rule move occurrences off weekends and holidays; the instance keeps the
+// date it was scheduled for in scheduledDate (exceptions and occurrence routes use that date).
+// Pass { scheduled: true } to get the scheduled dates without moving them.
+// With limit, stops after that many instances (e.g. to find where an occurrence count runs out).
+function generateRecurringInstances(transaction, startDate, endDate, { scheduled = false, limit = Infinity } = {}) {
     if (!transaction.recurring?.pattern) return [];
+
+    const businessDay = transaction.recurring.businessDay;
+    if (!scheduled && businessDay && businessDay !== 'none') {
+        // Moved dates can cross the range edges, so look a little beyond them
+        return generateRecurringInstances(transaction, addDays(startDate, -MAX_SHIFT), addDays(endDate, MAX_SHIFT), { scheduled: true })
+            .map(instance => ({
+                ...instance,
+                date: adjustToBusinessDay(instance.date, businessDay, holidays.isHoliday),
+                scheduledDate: instance.date
+            }))
+            .filter(instance => instance.date >= startDate && instance.date <= endDate)
+            .slice(0, limit);
+    }
     
     const instances = [];
     const pattern = parseRecurringPattern(transaction.recurring.pattern);
+
+    // recurring.count ends the series after that many occurrences; skipped and paused ones count too
+    const count = transaction.recurring.count || null;
+
+    if (pattern.unit === 'rrule') {
+        const until = transaction.recurring.until && transaction.recurring.until < endDate
+            ? transaction.recurring.until
+            : endDate;
+        const rule = count && (!pattern.rule.count || count < pattern.rule.count)
+            ? { ...pattern.rule, count }
+            : pattern.rule;
+        return expandRRule(rule, transaction.date, startDate, until, limit)
+            .map(dateStr => buildRecurringInstance(transaction, dateStr))
+            .filter(Boolean);
+    }
     
     // Convert dates to Date objects for easier manipulation
     const [tYear, tMonth, tDay] = transaction.date.split('-');
@@ -588,40 +846,29 @@ function generateRecurringInstances(transaction, startDate, endDate) {
             daysToAdd += 7; // Move to next week if target day has passed
         }
         
-        // Adjust the start date to the first occurrence
+        // Adjust the start date to the first occurrence. Later weeks count from here, not from the
+        // requested range, so every range sees the same dates for series with an interval above 1.
         currentDate.setDate(currentDate.getDate() + daysToAdd);
-        
-        // For intervals greater than 1, we need to ensure we're starting on the correct week
-        if (pattern.interval > 1) {
-            // Calculate weeks since the start date
-            const weeksSinceStart = Math.floor((currentDate - rangeStart) / (7 * 24 * 60 * 60 * 1000));
-            const remainingWeeks = weeksSinceStart % pattern.interval;
-            if (remainingWeeks !== 0) {
-                // Move forward to the next valid week
-                currentDate.setDate(currentDate.getDate() + (pattern.interval - remainingWeeks) * 7);
-            }
-        }
     }
     
     // Track dates we've already added to prevent duplicates
     const addedDates = new Set();
+    let occurrences = 0;
     
     // Generate instances
-    while (currentDate <= until) {
+    while (currentDate <= until && (!count || occurrences < count) && instances.length < limit) {
         const dateStr = currentDate.toISOString().split('T')[0];
+        occurrences++;
         
         // Only add if it falls within range and isn't a duplicate
         if (currentDate >= rangeStart && 
             currentDate <= rangeEnd && 
             !addedDates.has(dateStr)) {
             
-            instances.push({
-                ...transaction,
-                id: `${transaction.id}-${dateStr}`,
-                date: dateStr,
-                isRecurringInstance: true,
-                recurringParentId: transaction.id
-            });
+            const instance = buildRecurringInstance(transaction, dateStr);
+            if (instance) {
+                instances.push(instance);
+            }
             
             addedDates.add(dateStr);
         }
@@ -700,6 +947,65 @@ function generateRecurringInstances(transaction, startDate, endDate) {
     return instances;
 }
 
+// Dates of the next count occurrences of a series on or after fromDate. The search window
+// grows from a few months to ten years so frequent series don't generate years of instances.
+function upcomingOccurrences(transaction, fromDate, count) {
+    const [year, month, day] = fromDate.split('-').map(Number);
+    for (const months of [3, 24, 120]) {
+        const end = new Date(Date.UTC(year, month - 1 + months, day)).toISOString().split('T')[0];
+        const dates = generateRecurringInstances(transaction, fromDate, end)
+            .map(instance => instance.date)
+            .sort();
+        if (dates.length >= count || months === 120) {
+            return dates.slice(0, count);
+        }
+    }
+}
+
+// Parse natural-language date or recurrence text for the transaction form and API clients.
+// Recurrences come back with the first occurrence on or after the start date and a short preview.
+app.post(BASE_PATH + '/api/parse', authMiddleware, async (req, res) => {
+    try {
+        const { text, date } = req.body;
+        const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), 20);
+
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'Text is required' });
+        }
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        const parsed = await parseNaturalDate(text);
+        if (!parsed) {
+            return res.status(400).json({ error: `Could not understand "${text.trim()}"` });
+        }
+        if (parsed.date) {
+            return res.json({ text, date: parsed.date, recurring: null, preview: [parsed.date] });
+        }
+        const requestedStart = parsed.startDate || date || new Date().toISOString().split('T')[0];
+        if (!isValidRecurringPattern(parsed.recurring.pattern, requestedStart)) {
+            return res.status(400).json({ error: 'Invalid recurring pattern format' });
+        }
+
+        const startDate = alignToPattern(requestedStart, parsed.recurring.pattern);
+        if (parsed.recurring.until && parsed.recurring.until < startDate) {
+            return res.status(400).json({ error: 'The end date is before the first occurrence' });
+        }
+
+        const series = { id: 'preview', date: startDate, recurring: parsed.recurring };
+        res.json({
+            text,
+            date: startDate,
+            recurring: parsed.recurring,
+            preview: upcomingOccurrences(series, startDate, count)
+        });
+    } catch (error) {
+        console.error('Error parsing date text:', error);
+        res.status(500).json({ error: 'Failed to parse date text' });
+    }
+});
+
 // Update the range endpoint to include recurring instances
 app.get(BASE_PATH + '/api/transactions/range', authMiddleware, async (req, res) => {
     try {
@@ -714,7 +1020,7 @@ app.get(BASE_PATH + '/api/transactions/range', authMiddleware, async (req, res)
         // Sort by date
         transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-        res.json(transactions);
+        res.json(transactions.map(toApiTransaction));
     } catch (error) {
         console.error('Error fetching transactions:', error);
         res.status(500).json({ error: 'Failed to fetch transactions' });
@@ -730,17 +1036,22 @@ app.get(BASE_PATH + '/api/totals/range', authMiddleware, async (req, res) => {
 
         const transactions = await getTransactionsInRange(start, end);
         
-        const totals = {
-            income: transactions
-                .filter(t => t.type === 'income')
-                .reduce((sum, t) => sum + t.amount, 0),
-            expenses: transactions
-                .filter(t => t.type === 'expense')
-                .reduce((sum, t) => sum + t.amount, 0),
-            balance: 0
-        };
-        
-        totals.balance = totals.income - totals.expenses;
+        const totals = calculateTotals(
+            transactions.filter(t => t.type === 'income'),
+            transactions.filter(t => t.type === 'expense')
+        );
+
+        // Totals per expense and income category, with subcategories rolled up into their parents
+        const settings = await storage.loadSettings();
+        const stored = await loadTransactions();
+        const totalsByCategory = (type) => categoryTotals(listCategories(settings, stored, type), transactions, type)
+            .map(entry => ({
+                ...entry,
+                amount: fromMinorUnits(entry.amount, CURRENCY),
+                total: fromMinorUnits(entry.total, CURRENCY)
+            }));
+        totals.categories = totalsByCategory('expense');
+        totals.incomeCategories = totalsByCategory('income');
         
         res.json(totals);
     } catch (error) {
@@ -749,6 +1060,69 @@ app.get(BASE_PATH + '/api/totals/range', authMiddleware, async (req, res) => {
     }
 });
 
+// Projected balance for each day from today through `months` months ahead. Starts from the balance of
+// everything dated today or earlier, then applies future stored transactions and recurring occurrences.
+app.get(BASE_PATH + '/api/forecast', authMiddleware, async (req, res) => {
+    try {
+        const months = req.query.months === undefined ? 3 : parseInt(req.query.months, 10);
+        if (!Number.isInteger(months) || months < 1 || months > 24) {
+            return res.status(400).json({ error: 'months must be a whole number between 1 and 24' });
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        const [year, month, day] = today.split('-').map(Number);
+        const end = new Date(Date.UTC(year, month - 1 + months, day)).toISOString().split('T')[0];
+
+        // One query for the past and the future so recurring series line up the same way in both
+        const transactions = await getTransactionsInRange('0000-01-01', end);
+        const signed = (t) => (t.type === 'income' ? t.amount : -t.amount);
+
+        let balance = 0;
+        const changes = new Map();
+        for (const transaction of transactions) {
+            if (transaction.date <= today) {
+                balance += signed(transaction);
+            } else {
+                changes.set(transaction.date, (changes.get(transaction.date) || 0) + signed(transaction));
+            }
+        }
+
+        const startingBalance = balance;
+        const days = [{ date: today, change: 0, balance }];
+        let lowest = days[0];
+        for (let date = nextDay(today); date <= end; date = nextDay(date)) {
+            const change = changes.get(date) || 0;
+            balance += change;
+            const entry = { date, change, balance };
+            days.push(entry);
+            if (entry.balance < lowest.balance) lowest = entry;
+        }
+
+        res.json({
+            start: today,
+            end,
+            startingBalance: fromMinorUnits(startingBalance, CURRENCY),
+            lowest: { date: lowest.date, balance: fromMinorUnits(lowest.balance, CURRENCY) },
+            goesNegative: lowest.balance < 0,
+            days: days.map(entry => ({
+                date: entry.date,
+                change: fromMinorUnits(entry.change, CURRENCY),
+                balance: fromMinorUnits(entry.balance, CURRENCY),
+                ...(entry === lowest ? { lowest: true } : {})
+            }))
+        });
+    } catch (error) {
+        console.error('Error building forecast:', error);
+        res.status(500).json({ error: 'Failed to build forecast' });
+    }
+});
+
+// Quote a CSV field when it contains a comma, quote or line break
+function escapeCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 app.get(BASE_PATH + '/api/export/:year/:month', authMiddleware, async (req, res) => {
     try {
         const { year, month } = req.params;
@@ -763,10 +1137,12 @@ app.get(BASE_PATH + '/api/export/:year/:month', authMiddleware, async (req, res)
             ...monthData.expenses.map(t => ({ ...t, type: 'expense' }))
         ].sort((a, b) => new Date(b.date) - new Date(a.date));
 
-        // Convert to CSV
+        // Convert to CSV; categories are written as their full path, e.g. "Food > Groceries"
+        const pathOf = await loadCategoryPaths();
         const csvRows = ['Date,Type,Category,Title,Amount'];
         allTransactions.forEach(t => {
-            csvRows.push(`${t.date},${t.type},${t.category || ''},${t.title},${t.amount}`);
+            const category = t.category ? formatCategoryPath(pathOf(t.category, t.type)) : '';
+            csvRows.push(`${t.date},${t.type},${escapeCsvField(category)},${escapeCsvField(t.title)},${fromMinorUnits(t.amount, CURRENCY)}`);
         });
 
         res.setHeader('Content-Type', 'text/csv');
@@ -778,25 +1154,36 @@ app.get(BASE_PATH + '/api/export/:year/:month', authMiddleware, async (req, res)
     }
 });
 
+// Export a date range as CSV (default) or, with ?format=ledger|hledger|beancount, as a plain-text accounting journal
 app.get(BASE_PATH + '/api/export/range', authMiddleware, async (req, res) => {
     try {
-        const { start, end } = req.query;
+        const { start, end, format = 'csv' } = req.query;
         if (!start || !end) {
             return res.status(400).json({ error: 'Start and end dates are required' });
         }
+        if (format !== 'csv' && !JOURNAL_FORMATS[format]) {
+            return res.status(400).json({ error: 'Unsupported export format' });
+        }
 
         const transactions = await getTransactionsInRange(start, end);
+        const pathOf = await loadCategoryPaths();
+
+        if (JOURNAL_FORMATS[format]) {
+            const journal = toJournal(transactions, {
+                format, currency: CURRENCY, assetAccount: JOURNAL_ASSET_ACCOUNT, start, end, categoryPath: pathOf
+            });
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=transactions-${start}-to-${end}.${JOURNAL_FORMATS[format].extension}`);
+            return res.send(journal);
+        }
 
         // Convert to CSV with specified format
         const csvRows = ['Category,Date,Title,Value'];
         transactions.forEach(t => {
-            const category = t.type === 'income' ? 'Income' : t.category;
-            const value = t.type === 'income' ? t.amount : -t.amount;
-            // Escape title to handle commas and quotes
-            const escapedTitle = t.title.replace(/"/g, '""');
-            const formattedTitle = escapedTitle.includes(',') ? `"${escapedTitle}"` : escapedTitle;
-            
-            csvRows.push(`${category},${t.date},${formattedTitle},${value}`);
+            // Income without a category is filed under "Income", as before income had categories
+            const category = t.category ? formatCategoryPath(pathOf(t.category, t.type)) : 'Income';
+            const value = fromMinorUnits(t.type === 'income' ? t.amount : -t.amount, CURRENCY);
+            csvRows.push(`${escapeCsvField(category)},${t.date},${escapeCsvField(t.title)},${value}`);
         });
 
         res.setHeader('Content-Type', 'text/csv');
@@ -808,160 +1195,1670 @@ app.get(BASE_PATH + '/api/export/range', authMiddleware, async (req, res) => {
     }
 });
 
-app.put(BASE_PATH + '/api/transactions/:id', authMiddleware, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { type, amount, title, category, date, recurring } = req.body;
-        
-        // Basic validation
-        if (!type || !amount || !title || !date) {
-            return res.status(400).json({ error: 'Missing required fields' });
+// FITIDs of bank transactions imported so far (see /api/import/ofx)
+function collectFitIds(transactions) {
+    const fitIds = new Set();
+    for (const monthData of Object.values(transactions)) {
+        for (const t of [...(monthData?.income || []), ...(monthData?.expenses || [])]) {
+            if (t?.fitId) fitIds.add(t.fitId);
         }
-        if (type !== 'income' && type !== 'expense') {
-            return res.status(400).json({ error: 'Invalid transaction type' });
-        }
-        if (type === 'expense' && !category) {
-            return res.status(400).json({ error: 'Category required for expenses' });
+    }
+    return fitIds;
+}
+
+// Flag candidates whose FITID is already stored or appeared earlier in the same file
+function markAlreadyImported(candidates, fitIds) {
+    const seen = new Set(fitIds);
+    for (const candidate of candidates) {
+        candidate.alreadyImported = Boolean(candidate.fitId && seen.has(candidate.fitId));
+        if (candidate.fitId) seen.add(candidate.fitId);
+    }
+}
+
+// Preview or insert candidate rows produced by an importer. Rows without a category get one from
+// the auto-categorization rules. Without commit the rows come back with likely duplicates flagged;
+// with commit every valid row not listed in skipRows is inserted. Rows whose FITID was imported
+// before are always skipped.
+async function importCandidates(candidates, { commit, skipRows = [] }) {
+    for (const candidate of candidates) {
+        if (!candidate.error && !isDateString(candidate.date)) {
+            candidate.error = `Invalid date "${candidate.date}"`;
         }
+    }
+    const valid = candidates.filter(c => !c.error);
+    const { rules = [] } = await storage.loadSettings();
+    for (const candidate of valid) {
+        candidate.category = candidate.category || categorize(rules, candidate);
+    }
+    if (valid.length > 0) {
+        const dates = valid.map(c => c.date).sort();
+        markDuplicates(candidates, await getTransactionsInRange(dates[0], dates[dates.length - 1]));
+    }
 
-        const transactions = await loadTransactions();
-        let found = false;
-        
-        // Find and update the transaction
-        for (const key of Object.keys(transactions)) {
-            const monthData = transactions[key];
-            
-            // Check in income array
-            const incomeIndex = monthData.income.findIndex(t => t.id === id);
-            if (incomeIndex !== -1) {
-                // If type changed, move to expenses
-                if (type === 'expense') {
-                    const transaction = monthData.income.splice(incomeIndex, 1)[0];
-                    transaction.category = category;
-                    monthData.expenses.push({
-                        ...transaction,
-                        amount: parseFloat(amount),
-                        title,
-                        date,
-                        recurring: recurring || null
-                    });
-                } else {
-                    monthData.income[incomeIndex] = {
-                        ...monthData.income[incomeIndex],
-                        amount: parseFloat(amount),
-                        title,
-                        date,
-                        recurring: recurring || null
-                    };
-                }
-                found = true;
-                break;
+    if (!commit) {
+        markAlreadyImported(candidates, collectFitIds(await loadTransactions()));
+        return {
+            rows: candidates.map(c => ({ ...c, amount: Number.isFinite(c.amount) ? fromMinorUnits(c.amount, CURRENCY) : null })),
+            summary: {
+                total: candidates.length,
+                valid: valid.length,
+                duplicates: valid.filter(c => c.duplicateOf && !c.alreadyImported).length,
+                alreadyImported: valid.filter(c => c.alreadyImported).length,
+                errors: candidates.length - valid.length
             }
-            
-            // Check in expenses array
-            const expenseIndex = monthData.expenses.findIndex(t => t.id === id);
-            if (expenseIndex !== -1) {
-                // If type changed, move to income
-                if (type === 'income') {
-                    const transaction = monthData.expenses.splice(expenseIndex, 1)[0];
-                    delete transaction.category;
-                    monthData.income.push({
-                        ...transaction,
-                        amount: parseFloat(amount),
-                        title,
-                        date,
-                        recurring: recurring || null
-                    });
-                } else {
-                    monthData.expenses[expenseIndex] = {
-                        ...monthData.expenses[expenseIndex],
-                        amount: parseFloat(amount),
-                        title,
-                        category,
-                        date,
-                        recurring: recurring || null
-                    };
-                }
-                found = true;
-                break;
+        };
+    }
+
+    const skip = new Set(skipRows);
+    const imported = await storage.update((transactions) => {
+        // Checked inside the update so two overlapping imports can't both insert the same FITID
+        markAlreadyImported(candidates, collectFitIds(transactions));
+        const toInsert = valid.filter(c => !skip.has(c.row) && !c.alreadyImported);
+
+        for (const candidate of toInsert) {
+            const key = candidate.date.slice(0, 7);
+            if (!transactions[key]) {
+                transactions[key] = { income: [], expenses: [] };
+            }
+            const list = candidate.type === 'income' ? 'income' : 'expenses';
+            const record = {
+                id: crypto.randomUUID(),
+                amount: candidate.amount,
+                title: candidate.title,
+                date: candidate.date,
+                category: candidate.category || (candidate.type === 'expense' ? 'Other' : null),
+                recurring: null,
+                revision: 1
+            };
+            if (candidate.fitId) {
+                record.fitId = candidate.fitId;
             }
+            transactions[key][list].push(record);
         }
+        return toInsert.length > 0 ? toInsert.length : false;
+    });
 
-        if (!found) {
-            return res.status(404).json({ error: 'Transaction not found' });
+    const count = imported || 0;
+    return { imported: count, skipped: candidates.length - count };
+}
+
+// Import transactions from CSV text. The column mapping is detected from the header row
+// unless given; send commit: true (optionally with skipRows) to actually insert the rows.
+app.post(BASE_PATH + '/api/import/csv', authMiddleware, async (req, res) => {
+    try {
+        const { csv, mapping, commit, skipRows } = req.body;
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: 'CSV content is required' });
         }
 
-        await saveTransactions(transactions);
-        res.json({ success: true });
+        let parsed;
+        try {
+            parsed = readCsv(csv, mapping || {}, { currency: CURRENCY });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const missing = ['date', 'title', 'amount'].filter(field => typeof parsed.mapping[field] !== 'number');
+        if (missing.length > 0 && commit) {
+            return res.status(400).json({ error: `Map a column for: ${missing.join(', ')}` });
+        }
+
+        const result = await importCandidates(parsed.candidates, { commit, skipRows: Array.isArray(skipRows) ? skipRows : [] });
+        if (commit) {
+            return res.json(result);
+        }
+        res.json({ headers: parsed.headers, mapping: parsed.mapping, missing, ...result });
     } catch (error) {
-        console.error('Error updating transaction:', error);
-        res.status(500).json({ error: 'Failed to update transaction' });
+        console.error('Error importing CSV:', error);
+        res.status(500).json({ error: 'Failed to import CSV' });
     }
 });
 
-app.delete(BASE_PATH + '/api/transactions/:id', authMiddleware, async (req, res) => {
+// Import an OFX 1.x (SGML) or 2.x (XML) bank statement; QFX files are OFX with extra Quicken tags.
+// Transactions whose FITID was imported before are skipped.
+app.post(BASE_PATH + '/api/import/ofx', authMiddleware, async (req, res) => {
     try {
-        const { id } = req.params;
-        const transactions = await loadTransactions();
-        let found = false;
+        const { ofx, commit, skipRows } = req.body;
+        if (typeof ofx !== 'string' || !ofx.trim()) {
+            return res.status(400).json({ error: 'OFX content is required' });
+        }
+
+        let parsed;
+        try {
+            parsed = readOfx(ofx, { currency: CURRENCY });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const result = await importCandidates(parsed.candidates, { commit, skipRows: Array.isArray(skipRows) ? skipRows : [] });
+        res.json(result);
+    } catch (error) {
+        console.error('Error importing OFX:', error);
+        res.status(500).json({ error: 'Failed to import OFX' });
+    }
+});
+
+// Recurring settings from a PUT body; editing the series keeps its per-occurrence exceptions,
+// its pauses and which dates have been posted
+function buildRecurring(recurring, existing) {
+    if (!recurring?.pattern) return null;
+    const exceptions = existing.recurring?.exceptions;
+    const pauses = existing.recurring?.pauses;
+    const postedFrom = existing.recurring?.postedFrom;
+    const postedThrough = existing.recurring?.postedThrough;
+    return {
+        pattern: recurring.pattern,
+        until: recurring.until || null,
+        ...businessDayRule(recurring.businessDay),
+        ...parseRecurringSchedule(recurring),
+        ...(exceptions && Object.keys(exceptions).length > 0 ? { exceptions } : {}),
+        ...(pauses?.length > 0 ? { pauses } : {}),
+        ...(postedFrom ? { postedFrom } : {}),
+        ...(postedThrough ? { postedThrough } : {})
+    };
+}
+
+// Reject a mutation that was based on an older revision of the stored record.
+// Clients that don't send a revision keep the old last-write-wins behaviour.
+function assertRevision(existing, revision, type) {
+    if (revision === undefined || revision === null || revision === '') return;
+    const currentRevision = existing.revision || 1;
+    if (currentRevision !== Number(revision)) {
+        throw new ConflictError(
+            'Transaction was modified by another request. Reload and try again.',
+            { ...existing, type }
+        );
+    }
+}
+
+app.put(BASE_PATH + '/api/transactions/:id', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type, amount, title, category, date, recurring, revision } = req.body;
         
-        // Check if this is a recurring instance
-        const isRecurringInstance = id.includes('-');
-        const parentId = isRecurringInstance ? id.split('-')[0] : id;
+        // Basic validation
+        if (!type || !amount || !title || !date) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (!isDateString(date)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
+        if (type !== 'income' && type !== 'expense') {
+            return res.status(400).json({ error: 'Invalid transaction type' });
+        }
+        if (type === 'expense' && !category) {
+            return res.status(400).json({ error: 'Category required for expenses' });
+        }
+        const amountMinor = toMinorUnits(amount, CURRENCY);
+        if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+            return res.status(400).json({ error: 'Invalid amount' });
+        }
+        const recurringError = recurringRequestError(recurring, date);
+        if (recurringError) {
+            return res.status(400).json({ error: recurringError });
+        }
+
+        const updated = await storage.update((transactions, { locate }) => {
+            const found = findRecord(transactions, locate, id);
+            if (!found) {
+                // Nothing changed, skip the save
+                return false;
+            }
+            assertRevision(found.record, revision, found.type);
+
+            const record = {
+                ...found.record,
+                amount: amountMinor,
+                title,
+                category: category || null,
+                date,
+                recurring: buildRecurring(recurring, found.record),
+                revision: (found.record.revision || 1) + 1
+            };
+            const month = date.slice(0, 7);
+            if (type === found.type && month === found.month) {
+                found.list[found.index] = record;
+                return record;
+            }
+
+            // A new type or a date in another month moves the record to that list
+            found.list.splice(found.index, 1);
+            if (!transactions[month]) {
+                transactions[month] = { income: [], expenses: [] };
+            }
+            transactions[month][type === 'income' ? 'income' : 'expenses'].push(record);
+            return record;
+        });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.json({ success: true, revision: updated.revision });
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+        }
+        console.error('Error updating transaction:', error);
+        res.status(500).json({ error: 'Failed to update transaction' });
+    }
+});
+
+app.delete(BASE_PATH + '/api/transactions/:id', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { revision } = req.query;
         
-        // Find and delete the transaction
-        for (const key of Object.keys(transactions)) {
-            const monthData = transactions[key];
-            
-            // Check in income array
-            const incomeIndex = monthData.income.findIndex(t => 
-                t.id === parentId || t.id === id
+        // Recurring instance ids are the parent id followed by the instance date
+        const parentId = id.replace(/-\d{4}-\d{2}-\d{2}$/, '');
+        
+        const found = await storage.update((transactions, { locate }) => {
+            const targetId = locate(id) ? id : parentId;
+            const location = locate(targetId);
+            if (!location) return false;
+
+            const list = location.type === 'income'
+                ? transactions[location.month].income
+                : transactions[location.month].expenses;
+            const index = list.findIndex(t => t.id === targetId);
+            assertRevision(list[index], revision, location.type);
+            list.splice(index, 1);
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+        }
+        console.error('Error deleting transaction:', error);
+        res.status(500).json({ error: 'Failed to delete transaction' });
+    }
+});
+
+// The stored record with this id, found inside a storage.update mutator
+function findRecord(transactions, locate, id) {
+    const location = locate(id);
+    if (!location) return null;
+    const list = location.type === 'income'
+        ? transactions[location.month].income
+        : transactions[location.month].expenses;
+    const index = list.findIndex(t => t.id === id);
+    return index === -1 ? null : { list, index, record: list[index], type: location.type, month: location.month };
+}
+
+// Apply fn to the exceptions of a recurring series for one occurrence date.
+// Resolves to the series' new revision, or to an { status, error } object when the request is invalid.
+async function updateOccurrence(id, date, revision, fn) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return { status: 400, error: 'Invalid occurrence date' };
+    }
+
+    let failure = null;
+    const updated = await storage.update((transactions, { locate }) => {
+        const found = findRecord(transactions, locate, id);
+        if (!found || !found.record.recurring?.pattern) {
+            failure = { status: 404, error: 'Recurring transaction not found' };
+            return false;
+        }
+        assertRevision(found.record, revision, found.type);
+        if (!isOccurrenceDate(found.record, date)) {
+            failure = { status: 400, error: 'The series has no occurrence on that date' };
+            return false;
+        }
+        if (isPostedDate(found.record, date)) {
+            failure = { status: 400, error: 'That occurrence has been posted; edit the posted transaction instead' };
+            return false;
+        }
+
+        const record = found.record;
+        const exceptions = { ...record.recurring.exceptions };
+        const exception = fn(record, found.type);
+        if (exception) {
+            exceptions[date] = exception;
+        } else {
+            delete exceptions[date];
+        }
+
+        const { exceptions: _, ...recurring } = record.recurring;
+        found.list[found.index] = {
+            ...record,
+            recurring: Object.keys(exceptions).length > 0 ? { ...recurring, exceptions } : recurring,
+            revision: (record.revision || 1) + 1
+        };
+        return found.list[found.index];
+    });
+
+    return failure || { revision: updated.revision };
+}
+
+// Override the amount, title or category of one occurrence of a recurring series.
+// Fields left out (or equal to the series) follow the series; sending none removes the override.
+app.put(BASE_PATH + '/api/transactions/:id/occurrences/:date', authMiddleware, async (req, res) => {
+    try {
+        const { id, date } = req.params;
+        const { amount, title, category, revision } = req.body;
+
+        const overrides = {};
+        if (amount !== undefined && amount !== null && amount !== '') {
+            overrides.amount = toMinorUnits(amount, CURRENCY);
+            if (!Number.isFinite(overrides.amount) || overrides.amount <= 0) {
+                return res.status(400).json({ error: 'Invalid amount' });
+            }
+        }
+        if (title !== undefined && title !== null) {
+            if (typeof title !== 'string' || !title.trim()) {
+                return res.status(400).json({ error: 'Title cannot be empty' });
+            }
+            overrides.title = title;
+        }
+        if (category) {
+            overrides.category = category;
+        }
+
+        const result = await updateOccurrence(id, date, revision, (series) => {
+            const exception = {};
+            for (const [field, value] of Object.entries(overrides)) {
+                if (series[field] !== value) exception[field] = value;
+            }
+            return Object.keys(exception).length > 0 ? exception : null;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, revision: result.revision });
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+        }
+        console.error('Error updating occurrence:', error);
+        res.status(500).json({ error: 'Failed to update occurrence' });
+    }
+});
+
+// Skip one occurrence of a recurring series; the rest of the series is unchanged
+app.delete(BASE_PATH + '/api/transactions/:id/occurrences/:date', authMiddleware, async (req, res) => {
+    try {
+        const { id, date } = req.params;
+        const result = await updateOccurrence(id, date, req.query.revision, () => ({ skip: true }));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, revision: result.revision });
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+        }
+        console.error('Error skipping occurrence:', error);
+        res.status(500).json({ error: 'Failed to skip occurrence' });
+    }
+});
+
+// The day before a YYYY-MM-DD date
+function previousDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().split('T')[0];
+}
+
+// "This and following": end a recurring series the day before one of its occurrences and start
+// a new series (or a one-off transaction when recurring is null) with the edited values from there.
+// Exceptions on or after the split date move to the new series.
+app.post(BASE_PATH + '/api/transactions/:id/split', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from, type, amount, title, category, recurring, revision } = req.body;
+
+        // Basic validation
+        if (!from || !type || !amount || !title) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+            return res.status(400).json({ error: 'Invalid occurrence date' });
+        }
+        if (type !== 'income' && type !== 'expense') {
+            return res.status(400).json({ error: 'Invalid transaction type' });
+        }
+        if (type === 'expense' && !category) {
+            return res.status(400).json({ error: 'Category required for expenses' });
+        }
+        const amountMinor = toMinorUnits(amount, CURRENCY);
+        if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+            return res.status(400).json({ error: 'Invalid amount' });
+        }
+        const recurringError = recurringRequestError(recurring, from);
+        if (recurringError) {
+            return res.status(400).json({ error: recurringError });
+        }
+        const schedule = recurring?.pattern ? parseRecurringSchedule(recurring) : {};
+
+        let failure = null;
+        const result = await storage.update((transactions, { locate }) => {
+            const found = findRecord(transactions, locate, id);
+            if (!found || !found.record.recurring?.pattern) {
+                failure = { status: 404, error: 'Recurring transaction not found' };
+                return false;
+            }
+            assertRevision(found.record, revision, found.type);
+            if (!isOccurrenceDate(found.record, from)) {
+                failure = { status: 400, error: 'The series has no occurrence on that date' };
+                return false;
+            }
+            if (isPostedDate(found.record, from)) {
+                failure = { status: 400, error: 'That occurrence has been posted; edit the posted transaction instead' };
+                return false;
+            }
+
+            const original = found.record;
+            const { exceptions = {}, ...originalRecurring } = original.recurring;
+            const before = {};
+            const after = {};
+            for (const [date, exception] of Object.entries(exceptions)) {
+                (date < from ? before : after)[date] = exception;
+            }
+            // Pauses that haven't finished by the split also apply to the new series
+            const pausesAfter = (originalRecurring.pauses || []).filter(pause => !pause.until || pause.until >= from);
+            // Posted dates after the split stay posted; the new series leaves them out as well
+            const { postedFrom, postedThrough } = originalRecurring;
+            const postedAfter = postedThrough && postedThrough >= from
+                ? { ...(postedFrom ? { postedFrom } : {}), postedThrough }
+                : {};
+
+            // An occurrence count is the total for the whole series, so the new series gets what is left
+            let remaining = null;
+            if (schedule.count) {
+                const plain = { ...original, recurring: { pattern: original.recurring.pattern, until: null } };
+                remaining = schedule.count - generateRecurringInstances(plain, original.date, previousDay(from), { scheduled: true }).length;
+                if (remaining < 1) {
+                    failure = { status: 400, error: 'The occurrence count ends the series before that date' };
+                    return false;
+                }
+            }
+
+            // The original series keeps everything before the split; it disappears if nothing is left
+            const ended = {
+                ...original,
+                recurring: {
+                    ...originalRecurring,
+                    until: previousDay(from),
+                    ...(Object.keys(before).length > 0 ? { exceptions: before } : {})
+                },
+                revision: (original.revision || 1) + 1
+            };
+            const keepOriginal = generateRecurringInstances(ended, original.date, ended.recurring.until).length > 0;
+            if (keepOriginal) {
+                found.list[found.index] = ended;
+            } else {
+                found.list.splice(found.index, 1);
+            }
+
+            const startDate = recurring?.pattern ? alignToPattern(from, recurring.pattern) : from;
+            // The new series starts at the given amount; earlier amount changes no longer apply
+            const amountsAfter = (schedule.amounts || []).filter(entry => entry.from > startDate);
+            const created = {
+                id: crypto.randomUUID(),
+                amount: amountMinor,
+                title,
+                date: startDate,
+                category: category || null,
+                recurring: recurring?.pattern
+                    ? {
+                        pattern: recurring.pattern,
+                        until: recurring.until || originalRecurring.until || null,
+                        ...businessDayRule(recurring.businessDay),
+                        ...(remaining ? { count: remaining } : {}),
+                        ...(amountsAfter.length > 0 ? { amounts: amountsAfter } : {}),
+                        ...(Object.keys(after).length > 0 ? { exceptions: after } : {}),
+                        ...(pausesAfter.length > 0 ? { pauses: pausesAfter } : {}),
+                        ...postedAfter
+                    }
+                    : null,
+                revision: 1
+            };
+
+            const key = startDate.slice(0, 7);
+            if (!transactions[key]) {
+                transactions[key] = { income: [], expenses: [] };
+            }
+            transactions[key][type === 'income' ? 'income' : 'expenses'].push(created);
+
+            return { revision: keepOriginal ? ended.revision : null, created: { ...created, type } };
+        });
+
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.status(201).json({ success: true, revision: result.revision, transaction: toApiTransaction(result.created) });
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+        }
+        console.error('Error splitting recurring transaction:', error);
+        res.status(500).json({ error: 'Failed to split recurring transaction' });
+    }
+});
+
+// The day after a YYYY-MM-DD date
+function nextDay(date) {
+    return addDays(date, 1);
+}
+
+// A YYYY-MM-DD date moved by a number of days (negative moves back)
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// A YYYY-MM-DD date moved by a number of months; days past the end of the month roll over
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1 + months, day)).toISOString().split('T')[0];
+}
+
+// Store the occurrences of every recurring series that are due (dated today or earlier) as pending
+// transactions linked to their series by recurringParentId. recurring.postedFrom and postedThrough
+// record which dates of a series have been posted, so nothing is posted twice and generated
+// instances leave those dates out. Series that have never been posted start with the current month
+// rather than back-filling their whole history; earlier occurrences stay generated.
+async function postDueOccurrences(today = new Date().toISOString().split('T')[0]) {
+    await holidays.refresh();
+    return storage.update((transactions) => {
+        const posted = [];
+        let changed = false;
+
+        for (const monthData of Object.values(transactions)) {
+            for (const [list, type] of [['income', 'income'], ['expenses', 'expense']]) {
+                for (const series of monthData[list] || []) {
+                    if (!series.recurring?.pattern) continue;
+                    const postedThrough = series.recurring.postedThrough;
+                    const from = postedThrough ? nextDay(postedThrough) : `${today.slice(0, 8)}01`;
+                    if (from > today || series.date > today) continue;
+
+                    for (const instance of generateRecurringInstances(series, from, today)) {
+                        posted.push({
+                            list,
+                            record: {
+                                id: crypto.randomUUID(),
+                                amount: instance.amount,
+                                title: instance.title,
+                                date: instance.date,
+                                category: instance.category || null,
+                                recurring: null,
+                                revision: 1,
+                                status: 'pending',
+                                recurringParentId: series.id
+                            }
+                        });
+                    }
+                    // Bookkeeping only, so the series revision stays the same
+                    if (postedThrough !== today) {
+                        series.recurring = {
+                            ...series.recurring,
+                            ...(postedThrough ? {} : { postedFrom: from }),
+                            postedThrough: today
+                        };
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        for (const { list, record } of posted) {
+            const key = record.date.slice(0, 7);
+            if (!transactions[key]) {
+                transactions[key] = { income: [], expenses: [] };
+            }
+            transactions[key][list].push(record);
+        }
+        return changed ? posted.length : false;
+    });
+}
+
+// Pending (posted but unconfirmed) transactions plus the generated occurrences due in the next `days` days
+app.get(BASE_PATH + '/api/transactions/upcoming', authMiddleware, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 366);
+        const today = new Date().toISOString().split('T')[0];
+        const [year, month, day] = today.split('-').map(Number);
+        const end = new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+
+        const transactions = await loadTransactions();
+        const pending = [];
+        for (const monthData of Object.values(transactions)) {
+            pending.push(...monthData.income.filter(t => t.status === 'pending').map(t => ({ ...t, type: 'income' })));
+            pending.push(...monthData.expenses.filter(t => t.status === 'pending').map(t => ({ ...t, type: 'expense' })));
+        }
+        // Without auto-posting, occurrences due today are still only generated
+        const upcoming = (await getTransactionsInRange(AUTO_POST_RECURRING ? nextDay(today) : today, end))
+            .filter(t => t.isRecurringInstance);
+
+        const byDate = (a, b) => a.date.localeCompare(b.date);
+        res.json({
+            autoPost: AUTO_POST_RECURRING,
+            pending: pending.sort(byDate).map(toApiTransaction),
+            upcoming: upcoming.sort(byDate).map(toApiTransaction)
+        });
+    } catch (error) {
+        console.error('Error fetching upcoming transactions:', error);
+        res.status(500).json({ error: 'Failed to fetch upcoming transactions' });
+    }
+});
+
+// Confirm a pending transaction, optionally with the amount actually paid or received
+app.post(BASE_PATH + '/api/transactions/:id/confirm', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, revision } = req.body;
+
+        let amountMinor = null;
+        if (amount !== undefined && amount !== null && amount !== '') {
+            amountMinor = toMinorUnits(amount, CURRENCY);
+            if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+                return res.status(400).json({ error: 'Invalid amount' });
+            }
+        }
+
+        let failure = null;
+        const confirmed = await storage.update((transactions, { locate }) => {
+            const found = findRecord(transactions, locate, id);
+            if (!found) {
+                failure = { status: 404, error: 'Transaction not found' };
+                return false;
+            }
+            if (found.record.status !== 'pending') {
+                failure = { status: 400, error: 'Transaction is not pending' };
+                return false;
+            }
+            assertRevision(found.record, revision, found.type);
+
+            const { status, ...record } = found.record;
+            found.list[found.index] = {
+                ...record,
+                ...(amountMinor !== null ? { amount: amountMinor } : {}),
+                revision: (record.revision || 1) + 1
+            };
+            return { ...found.list[found.index], type: found.type };
+        });
+
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.json(toApiTransaction(confirmed));
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+        }
+        console.error('Error confirming transaction:', error);
+        res.status(500).json({ error: 'Failed to confirm transaction' });
+    }
+});
+
+// Average amount per month of a series in minor units: its scheduled occurrences over four years,
+// ignoring its end date, occurrence count, amount schedule, exceptions and pauses
+function monthlyEquivalent(transaction) {
+    const openEnded = {
+        ...transaction,
+        recurring: { pattern: openEndedPattern(transaction.recurring.pattern), until: null }
+    };
+    const end = previousDay(addMonths(transaction.date, 48));
+    return Math.round(transaction.amount * generateRecurringInstances(openEnded, transaction.date, end).length / 48);
+}
+
+// A series as listed by /api/recurring: the transaction plus its next occurrence, monthly
+// equivalent, end date and whether it is active, paused or ended on today
+function seriesSummary(series, today) {
+    const postedThrough = series.recurring.postedThrough;
+    const from = postedThrough && postedThrough >= today ? nextDay(postedThrough) : today;
+    const [nextOccurrence = null] = upcomingOccurrences(series, from, 1);
+    const pause = (series.recurring.pauses || []).find(p => p.from <= today && (!p.until || today <= p.until));
+    const endDate = seriesEndDate(series);
+
+    let status = 'active';
+    if (pause) {
+        status = 'paused';
+    } else if ((endDate && endDate < today) || (!nextOccurrence && series.date <= today)) {
+        status = 'ended';
+    }
+
+    return {
+        ...toApiTransaction(series),
+        nextOccurrence,
+        monthlyAmount: fromMinorUnits(monthlyEquivalent({ ...series, amount: scheduledAmount(series, today) }), CURRENCY),
+        endDate,
+        status,
+        pausedUntil: pause ? pause.until || null : null
+    };
+}
+
+// Apply fn to the recurring settings of a series. fn returns the new settings, or an
+// { status, error } object to reject the request. Resolves to the updated series (with its type)
+// or to the failure.
+async function updateSeries(id, revision, fn) {
+    let failure = null;
+    const updated = await storage.update((transactions, { locate }) => {
+        const found = findRecord(transactions, locate, id);
+        if (!found || !found.record.recurring?.pattern) {
+            failure = { status: 404, error: 'Recurring transaction not found' };
+            return false;
+        }
+        assertRevision(found.record, revision, found.type);
+
+        const recurring = fn(found.record);
+        if (recurring.error) {
+            failure = recurring;
+            return false;
+        }
+        found.list[found.index] = {
+            ...found.record,
+            recurring,
+            revision: (found.record.revision || 1) + 1
+        };
+        return { ...found.list[found.index], type: found.type };
+    });
+    return failure || updated;
+}
+
+// Respond with the result of updateSeries, or with the error it was rejected with
+function sendSeriesUpdate(res, result) {
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json(seriesSummary(result, new Date().toISOString().split('T')[0]));
+}
+
+function handleSeriesError(res, error, message) {
+    if (error instanceof ConflictError) {
+        return res.status(409).json({ error: error.message, current: toApiTransaction(error.current) });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+}
+
+// A real YYYY-MM-DD date (2025-02-30 doesn't roll over into March)
+function isDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Every recurring series with its next occurrence and monthly equivalent, plus monthly totals of the active ones
+app.get(BASE_PATH + '/api/recurring', authMiddleware, async (req, res) => {
+    try {
+        await holidays.refresh();
+        const today = new Date().toISOString().split('T')[0];
+        const { recurring } = await storage.queryRange(today, today);
+        const series = recurring
+            .map(({ transaction, type }) => seriesSummary({ ...transaction, type }, today))
+            .sort((a, b) => (a.nextOccurrence || '9999-12-31').localeCompare(b.nextOccurrence || '9999-12-31')
+                || a.title.localeCompare(b.title));
+
+        const monthlyTotal = (type) => fromMinorUnits(series
+            .filter(s => s.type === type && s.status === 'active')
+            .reduce((sum, s) => sum + toMinorUnits(s.monthlyAmount, CURRENCY), 0), CURRENCY);
+        res.json({ series, monthlyIncome: monthlyTotal('income'), monthlyExpenses: monthlyTotal('expense') });
+    } catch (error) {
+        console.error('Error listing recurring transactions:', error);
+        res.status(500).json({ error: 'Failed to list recurring transactions' });
+    }
+});
+
+// Pause a series from `from` (default today) until `until` (inclusive), or until resumed when left out
+app.post(BASE_PATH + '/api/recurring/:id/pause', authMiddleware, async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const { from = today, until = null, revision } = req.body;
+        if (!isDateString(from) || (until !== null && !isDateString(until))) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+        if (until !== null && until < from) {
+            return res.status(400).json({ error: 'The pause ends before it starts' });
+        }
+
+        const result = await updateSeries(req.params.id, revision, (record) => {
+            const pauses = record.recurring.pauses || [];
+            const overlaps = pauses.some(pause =>
+                (!pause.until || from <= pause.until) && (!until || pause.from <= until)
             );
-            if (incomeIndex !== -1) {
-                monthData.income.splice(incomeIndex, 1);
-                found = true;
-                break;
+            if (overlaps) {
+                return { status: 400, error: 'The series is already paused during that time' };
+            }
+            const next = [...pauses, { from, until }].sort((a, b) => a.from.localeCompare(b.from));
+            return { ...record.recurring, pauses: next };
+        });
+        sendSeriesUpdate(res, result);
+    } catch (error) {
+        handleSeriesError(res, error, 'Failed to pause recurring transaction');
+    }
+});
+
+// Resume a series today: the current pause ends yesterday and later pauses are dropped
+app.post(BASE_PATH + '/api/recurring/:id/resume', authMiddleware, async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const result = await updateSeries(req.params.id, req.body.revision, (record) => {
+            const pauses = record.recurring.pauses || [];
+            const remaining = pauses
+                .filter(pause => pause.from < today)
+                .map(pause => (!pause.until || pause.until >= today ? { ...pause, until: previousDay(today) } : pause));
+            const changed = remaining.length !== pauses.length
+                || remaining.some((pause, i) => pause.until !== pauses[i].until);
+            if (!changed) {
+                return { status: 400, error: 'The series is not paused' };
+            }
+            const { pauses: _, ...recurring } = record.recurring;
+            return remaining.length > 0 ? { ...recurring, pauses: remaining } : recurring;
+        });
+        sendSeriesUpdate(res, result);
+    } catch (error) {
+        handleSeriesError(res, error, 'Failed to resume recurring transaction');
+    }
+});
+
+// End a series today. Occurrences up to today stay; nothing is generated after it.
+app.post(BASE_PATH + '/api/recurring/:id/end', authMiddleware, async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const result = await updateSeries(req.params.id, req.body.revision, (record) => {
+            if (record.date > today) {
+                return { status: 400, error: 'The series has not started yet; delete it instead' };
+            }
+            const endDate = seriesEndDate(record);
+            if (endDate && endDate <= today) {
+                return { status: 400, error: 'The series has already ended' };
+            }
+            return { ...record.recurring, until: today };
+        });
+        sendSeriesUpdate(res, result);
+    } catch (error) {
+        handleSeriesError(res, error, 'Failed to end recurring transaction');
+    }
+});
+
+// Category routes. The name identifies a category, so it appears URL-encoded in the path.
+// ?type=income selects the income categories; without it the routes work on expense categories.
+function parseCategoryType(type) {
+    if (type === undefined || type === '') return 'expense';
+    return Object.hasOwn(CATEGORY_TYPES, type) ? type : null;
+}
+
+function parseCategoryName(name) {
+    return typeof name === 'string' ? name.trim() : '';
+}
+
+// Error for a new category name, or null. ">" is reserved for writing paths such as "Food > Groceries".
+function categoryNameError(name) {
+    if (!name) return 'Category name is required';
+    if (name.includes('>')) return 'Category names cannot contain ">"';
+    return null;
+}
+
+// Store the category list of a type without the computed fields
+function saveCategories(settings, categories, type) {
+    settings[CATEGORY_TYPES[type].setting] = categories.map(({ name, parent }) => ({ name, parent: parent || null }));
+}
+
+// Path lookup (name, type = 'expense') -> path for transaction categories, from the stored trees
+async function loadCategoryPaths() {
+    const settings = await storage.loadSettings();
+    const transactions = await loadTransactions();
+    const paths = {
+        expense: categoryPaths(listCategories(settings, transactions, 'expense')),
+        income: categoryPaths(listCategories(settings, transactions, 'income'))
+    };
+    return (name, type = 'expense') => paths[type](name);
+}
+
+// Move the transactions (and, for expenses, the budget) of category `from` into `into` and drop
+// `from`; its subcategories move up to its parent. Runs inside a storage.update mutator; returns
+// { status, error } or the merged category.
+function mergeCategory(transactions, settings, type, from, into) {
+    const categories = listCategories(settings, transactions, type);
+    if (!categories.some(category => category.name === from) || !categories.some(category => category.name === into)) {
+        return { status: 404, error: 'Category not found' };
+    }
+    if (from === into) {
+        return { status: 400, error: 'A category cannot be merged into itself' };
+    }
+    const removed = categories.find(category => category.name === from);
+    const updated = moveTransactions(transactions, from, into, type);
+    if (type === 'expense') {
+        settings.budgets = moveBudget(settings.budgets || [], from, into);
+    }
+    settings.rules = moveRules(settings.rules || [], type, from, into);
+    saveCategories(settings, categories
+        .filter(category => category !== removed)
+        .map(category => (category.parent === from ? { ...category, parent: removed.parent } : category)), type);
+    const merged = listCategories(settings, transactions, type).find(category => category.name === into);
+    return { ...merged, updated };
+}
+
+app.get(BASE_PATH + '/api/categories', authMiddleware, async (req, res) => {
+    try {
+        const type = parseCategoryType(req.query.type);
+        if (!type) {
+            return res.status(400).json({ error: 'Invalid category type' });
+        }
+        res.json(listCategories(await storage.loadSettings(), await loadTransactions(), type));
+    } catch (error) {
+        console.error('Error listing categories:', error);
+        res.status(500).json({ error: 'Failed to list categories' });
+    }
+});
+
+app.post(BASE_PATH + '/api/categories', authMiddleware, async (req, res) => {
+    try {
+        const type = parseCategoryType(req.query.type);
+        if (!type) {
+            return res.status(400).json({ error: 'Invalid category type' });
+        }
+        const name = parseCategoryName(req.body.name);
+        const parent = parseCategoryName(req.body.parent) || null;
+        const nameError = categoryNameError(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        let failure = null;
+        const created = await storage.update((transactions, { settings }) => {
+            const categories = listCategories(settings, transactions, type);
+            if (categories.some(category => category.name === name)) {
+                failure = { status: 400, error: 'That category already exists' };
+                return false;
+            }
+            if (parent && !categories.some(category => category.name === parent)) {
+                failure = { status: 400, error: 'Parent category not found' };
+                return false;
+            }
+            saveCategories(settings, [...categories, { name, parent }], type);
+            return listCategories(settings, transactions, type).find(category => category.name === name);
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Error adding category:', error);
+        res.status(500).json({ error: 'Failed to add category' });
+    }
+});
+
+// Rename a category, rewriting every transaction, budget and rule that uses it, and/or move it under
+// another parent (parent: null for the top level; leave parent out to keep it where it is)
+app.put(BASE_PATH + '/api/categories/:name', authMiddleware, async (req, res) => {
+    try {
+        const type = parseCategoryType(req.query.type);
+        if (!type) {
+            return res.status(400).json({ error: 'Invalid category type' });
+        }
+        const from = req.params.name;
+        const name = parseCategoryName(req.body.name);
+        // Names from before subcategories may contain ">"; they can still be moved without a rename
+        const nameError = name === from ? null : categoryNameError(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        let failure = null;
+        const result = await storage.update((transactions, { settings }) => {
+            const categories = listCategories(settings, transactions, type);
+            const existing = categories.find(category => category.name === from);
+            if (!existing) {
+                failure = { status: 404, error: 'Category not found' };
+                return false;
+            }
+            if (name !== from && categories.some(category => category.name === name)) {
+                failure = { status: 400, error: 'That category already exists. Merge the two instead.' };
+                return false;
+            }
+            const parent = req.body.parent === undefined ? existing.parent : parseCategoryName(req.body.parent) || null;
+            if (parent && !categories.some(category => category.name === parent)) {
+                failure = { status: 400, error: 'Parent category not found' };
+                return false;
+            }
+            if (parent && subtreeOf(categories, from).has(parent)) {
+                failure = { status: 400, error: 'A category cannot be moved under itself or one of its subcategories' };
+                return false;
+            }
+            const updated = moveTransactions(transactions, from, name, type);
+            if (type === 'expense') {
+                settings.budgets = moveBudget(settings.budgets || [], from, name);
+            }
+            settings.rules = moveRules(settings.rules || [], type, from, name);
+            saveCategories(settings, categories.map(category => {
+                if (category === existing) return { name, parent };
+                return category.parent === from ? { ...category, parent: name } : category;
+            }), type);
+            const renamed = listCategories(settings, transactions, type).find(category => category.name === name);
+            return { ...renamed, updated };
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error renaming category:', error);
+        res.status(500).json({ error: 'Failed to rename category' });
+    }
+});
+
+// Merge a category into another one: its transactions, budget and rules move there and it is removed
+app.post(BASE_PATH + '/api/categories/:name/merge', authMiddleware, async (req, res) => {
+    try {
+        const type = parseCategoryType(req.query.type);
+        if (!type) {
+            return res.status(400).json({ error: 'Invalid category type' });
+        }
+        const into = parseCategoryName(req.body.into);
+        if (!into) {
+            return res.status(400).json({ error: 'Choose a category to merge into' });
+        }
+
+        let failure = null;
+        const result = await storage.update((transactions, { settings }) => {
+            const merged = mergeCategory(transactions, settings, type, req.params.name, into);
+            if (merged.error) {
+                failure = merged;
+                return false;
+            }
+            return merged;
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error merging categories:', error);
+        res.status(500).json({ error: 'Failed to merge categories' });
+    }
+});
+
+// Delete a category. Its transactions, budget and rules move to ?moveTo=, which is required while any
+// use it; its subcategories move up to its parent. Without moveTo its budget and rules are removed.
+app.delete(BASE_PATH + '/api/categories/:name', authMiddleware, async (req, res) => {
+    try {
+        const type = parseCategoryType(req.query.type);
+        if (!type) {
+            return res.status(400).json({ error: 'Invalid category type' });
+        }
+        const name = req.params.name;
+        const moveTo = parseCategoryName(req.query.moveTo);
+
+        let failure = null;
+        const result = await storage.update((transactions, { settings }) => {
+            const categories = listCategories(settings, transactions, type);
+            const existing = categories.find(category => category.name === name);
+            if (!existing) {
+                failure = { status: 404, error: 'Category not found' };
+                return false;
+            }
+            if (categories.length === 1) {
+                failure = { status: 400, error: 'At least one category is required' };
+                return false;
+            }
+            if (moveTo) {
+                const merged = mergeCategory(transactions, settings, type, name, moveTo);
+                if (merged.error) {
+                    failure = merged;
+                    return false;
+                }
+                return { moved: merged.updated };
+            }
+            if (existing.count > 0) {
+                failure = { status: 400, error: 'Choose a category to move its transactions to' };
+                return false;
             }
-            
-            // Check in expenses array
-            const expenseIndex = monthData.expenses.findIndex(t => 
-                t.id === parentId || t.id === id
-            );
-            if (expenseIndex !== -1) {
-                monthData.expenses.splice(expenseIndex, 1);
-                found = true;
-                break;
+            if (type === 'expense') {
+                settings.budgets = (settings.budgets || []).filter(budget => budget.category !== name);
+            }
+            settings.rules = moveRules(settings.rules || [], type, name, null);
+            saveCategories(settings, categories
+                .filter(category => category !== existing)
+                .map(category => (category.parent === name ? { ...category, parent: existing.parent } : category)), type);
+            return { moved: 0 };
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.json({ success: true, moved: result.moved });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).json({ error: 'Failed to delete category' });
+    }
+});
+
+// Budgets are kept in settings.budgets as { id, category, amount, rollover, rolloverStart, revision }
+function toApiBudget(budget) {
+    return { ...budget, amount: fromMinorUnits(budget.amount, CURRENCY) };
+}
+
+// The stored fields for a budget request body, or { error }
+function parseBudget(body) {
+    const { category, amount, rollover = false, rolloverStart } = body;
+    if (typeof category !== 'string' || !category.trim()) {
+        return { error: 'Category is required' };
+    }
+    const amountMinor = toMinorUnits(amount, CURRENCY);
+    if (!Number.isFinite(amountMinor) || amountMinor <= 0) {
+        return { error: 'Invalid amount' };
+    }
+    if (rolloverStart !== undefined && rolloverStart !== null && !isMonthString(rolloverStart)) {
+        return { error: 'Invalid rollover start month. Use YYYY-MM' };
+    }
+    return {
+        category: category.trim(),
+        amount: amountMinor,
+        rollover: Boolean(rollover),
+        // Rollover counts from the month it was turned on unless a start month is given
+        rolloverStart: rollover ? rolloverStart || new Date().toISOString().slice(0, 7) : null
+    };
+}
+
+function assertBudgetRevision(budget, revision) {
+    if (revision === undefined || revision === null || revision === '') return;
+    if ((budget.revision || 1) !== Number(revision)) {
+        throw new ConflictError('Budget was modified by another request. Reload and try again.', budget);
+    }
+}
+
+function handleBudgetError(res, error, message) {
+    if (error instanceof ConflictError) {
+        return res.status(409).json({ error: error.message, current: toApiBudget(error.current) });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+}
+
+app.get(BASE_PATH + '/api/budgets', authMiddleware, async (req, res) => {
+    try {
+        const { budgets = [] } = await storage.loadSettings();
+        res.json(budgets.map(toApiBudget));
+    } catch (error) {
+        console.error('Error listing budgets:', error);
+        res.status(500).json({ error: 'Failed to list budgets' });
+    }
+});
+
+// Spent versus budget per category for the range; spending includes recurring occurrences
+app.get(BASE_PATH + '/api/budgets/summary', authMiddleware, async (req, res) => {
+    try {
+        const { start, end } = req.query;
+        if (!start || !end) {
+            return res.status(400).json({ error: 'Start and end dates are required' });
+        }
+        if (!isDateString(start) || !isDateString(end) || end < start) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        const { budgets = [] } = await storage.loadSettings();
+        const transactions = await getTransactionsInRange(spendingStart(budgets, start), end);
+        const summary = summarizeBudgets(budgets, transactions, { start, end, pathOf: await loadCategoryPaths() });
+        const money = (value) => fromMinorUnits(value, CURRENCY);
+        const total = (field) => money(summary.budgets.reduce((sum, budget) => sum + budget[field], 0));
+
+        res.json({
+            start,
+            end,
+            months: summary.months,
+            budgets: summary.budgets.map(budget => ({
+                ...toApiBudget(budget),
+                budgeted: money(budget.budgeted),
+                carryover: money(budget.carryover),
+                spent: money(budget.spent),
+                remaining: money(budget.remaining)
+            })),
+            unbudgeted: summary.unbudgeted.map(entry => ({ ...entry, spent: money(entry.spent) })),
+            totals: {
+                budgeted: total('budgeted'),
+                carryover: total('carryover'),
+                spent: total('spent'),
+                remaining: total('remaining')
+            }
+        });
+    } catch (error) {
+        console.error('Error summarizing budgets:', error);
+        res.status(500).json({ error: 'Failed to summarize budgets' });
+    }
+});
+
+app.post(BASE_PATH + '/api/budgets', authMiddleware, async (req, res) => {
+    try {
+        const fields = parseBudget(req.body);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        const created = await storage.update((transactions, { settings }) => {
+            const budgets = settings.budgets || [];
+            if (budgets.some(budget => budget.category === fields.category)) return false;
+            const budget = { id: crypto.randomUUID(), ...fields, revision: 1 };
+            settings.budgets = [...budgets, budget].sort((a, b) => a.category.localeCompare(b.category));
+            return budget;
+        });
+        if (!created) {
+            return res.status(400).json({ error: 'That category already has a budget' });
+        }
+
+        res.status(201).json(toApiBudget(created));
+    } catch (error) {
+        console.error('Error adding budget:', error);
+        res.status(500).json({ error: 'Failed to add budget' });
+    }
+});
+
+app.put(BASE_PATH + '/api/budgets/:id', authMiddleware, async (req, res) => {
+    try {
+        const fields = parseBudget(req.body);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        let failure = null;
+        const updated = await storage.update((transactions, { settings }) => {
+            const budgets = settings.budgets || [];
+            const index = budgets.findIndex(budget => budget.id === req.params.id);
+            if (index === -1) {
+                failure = { status: 404, error: 'Budget not found' };
+                return false;
+            }
+            assertBudgetRevision(budgets[index], req.body.revision);
+            if (budgets.some(budget => budget.id !== req.params.id && budget.category === fields.category)) {
+                failure = { status: 400, error: 'That category already has a budget' };
+                return false;
             }
+            // Keep the rollover start while rollover stays on and no new start is given
+            const existing = budgets[index];
+            const rolloverStart = fields.rollover && existing.rollover && !req.body.rolloverStart
+                ? existing.rolloverStart
+                : fields.rolloverStart;
+            budgets[index] = { ...existing, ...fields, rolloverStart, revision: (existing.revision || 1) + 1 };
+            settings.budgets = budgets.sort((a, b) => a.category.localeCompare(b.category));
+            return budgets.find(budget => budget.id === req.params.id);
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
         }
 
+        res.json(toApiBudget(updated));
+    } catch (error) {
+        handleBudgetError(res, error, 'Failed to update budget');
+    }
+});
+
+app.delete(BASE_PATH + '/api/budgets/:id', authMiddleware, async (req, res) => {
+    try {
+        const found = await storage.update((transactions, { settings }) => {
+            const budgets = settings.budgets || [];
+            const index = budgets.findIndex(budget => budget.id === req.params.id);
+            if (index === -1) return false;
+            assertBudgetRevision(budgets[index], req.query.revision);
+            budgets.splice(index, 1);
+            settings.budgets = budgets;
+            return true;
+        });
         if (!found) {
-            return res.status(404).json({ error: 'Transaction not found' });
+            return res.status(404).json({ error: 'Budget not found' });
         }
 
-        await saveTransactions(transactions);
         res.json({ success: true });
     } catch (error) {
-        console.error('Error deleting transaction:', error);
-        res.status(500).json({ error: 'Failed to delete transaction' });
+        handleBudgetError(res, error, 'Failed to delete budget');
     }
 });
 
-// Supported currencies list - must match client-side list
-const SUPPORTED_CURRENCIES = [
-    'USD', 'EUR', 'GBP', 'JPY', 'AUD', 
-    'CAD', 'CHF', 'CNY', 'HKD', 'NZD',
-    'MXN', 'RUB', 'SGD', 'KRW', 'INR',
-    'BRL', 'ZAR', 'TRY', 'PLN', 'SEK',
-    'NOK', 'DKK', 'IDR', 'PHP'
-];
+// Auto-categorization rules are kept in settings.rules in the order they run (see scripts/rules.js)
+function toApiRule(rule) {
+    return {
+        ...rule,
+        conditions: rule.conditions.map(condition => (condition.field === 'amount'
+            ? { ...condition, value: fromMinorUnits(condition.value, CURRENCY) }
+            : condition))
+    };
+}
+
+// The stored fields for a rule request body, or { error }
+function parseRule(body) {
+    const { type, conditions, category, stop = true } = body;
+    if (type !== 'income' && type !== 'expense') {
+        return { error: 'Invalid transaction type' };
+    }
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+        return { error: 'Add at least one condition' };
+    }
+    const parsed = [];
+    for (const { field, operator, value } of conditions.map(condition => condition || {})) {
+        if (field === 'title') {
+            if (!TITLE_OPERATORS.includes(operator)) {
+                return { error: 'Invalid title condition' };
+            }
+            if (typeof value !== 'string' || !value.trim()) {
+                return { error: 'Title conditions need text to look for' };
+            }
+            if (operator === 'matches') {
+                if (value.length > MAX_PATTERN_LENGTH) {
+                    return { error: `Patterns are limited to ${MAX_PATTERN_LENGTH} characters` };
+                }
+                let regExp;
+                try {
+                    regExp = toRegExp(value.trim());
+                } catch (error) {
+                    return { error: `Invalid pattern: ${error.message}` };
+                }
+                if (isUnsafePattern(regExp.source)) {
+                    return { error: 'Patterns can\'t repeat a group that contains a repeat or alternatives, such as (a+)+ or (a|b)*' };
+                }
+            }
+            parsed.push({ field, operator, value: value.trim() });
+        } else if (field === 'amount') {
+            if (!AMOUNT_OPERATORS.includes(operator)) {
+                return { error: 'Invalid amount condition' };
+            }
+            const amountMinor = toMinorUnits(value, CURRENCY);
+            if (!Number.isFinite(amountMinor) || amountMinor < 0) {
+                return { error: 'Invalid amount' };
+            }
+            parsed.push({ field, operator, value: amountMinor });
+        } else {
+            return { error: 'Conditions can only test the title or the amount' };
+        }
+    }
+    const name = parseCategoryName(category);
+    if (!name) {
+        return { error: 'Category is required' };
+    }
+    return { type, conditions: parsed, category: name, stop: Boolean(stop) };
+}
+
+// Null when the rule's category exists for its type, otherwise a { status, error } failure
+function ruleCategoryFailure(fields, settings, transactions) {
+    const categories = listCategories(settings, transactions, fields.type);
+    return categories.some(category => category.name === fields.category)
+        ? null
+        : { status: 400, error: 'Category not found' };
+}
+
+function assertRuleRevision(rule, revision) {
+    if (revision === undefined || revision === null || revision === '') return;
+    if ((rule.revision || 1) !== Number(revision)) {
+        throw new ConflictError('Rule was modified by another request. Reload and try again.', rule);
+    }
+}
+
+function handleRuleError(res, error, message) {
+    if (error instanceof ConflictError) {
+        return res.status(409).json({ error: error.message, current: toApiRule(error.current) });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+}
+
+app.get(BASE_PATH + '/api/rules', authMiddleware, async (req, res) => {
+    try {
+        const { rules = [] } = await storage.loadSettings();
+        res.json(rules.map(toApiRule));
+    } catch (error) {
+        console.error('Error listing rules:', error);
+        res.status(500).json({ error: 'Failed to list rules' });
+    }
+});
+
+// New rules run after the existing ones
+app.post(BASE_PATH + '/api/rules', authMiddleware, async (req, res) => {
+    try {
+        const fields = parseRule(req.body);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        let failure = null;
+        const created = await storage.update((transactions, { settings }) => {
+            failure = ruleCategoryFailure(fields, settings, transactions);
+            if (failure) return false;
+            const rule = { id: crypto.randomUUID(), ...fields, revision: 1 };
+            settings.rules = [...(settings.rules || []), rule];
+            return rule;
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.status(201).json(toApiRule(created));
+    } catch (error) {
+        console.error('Error adding rule:', error);
+        res.status(500).json({ error: 'Failed to add rule' });
+    }
+});
+
+// Reorder the rules; ids lists every rule id in the new order
+app.put(BASE_PATH + '/api/rules/order', authMiddleware, async (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'ids must list the rules in their new order' });
+        }
+
+        let failure = null;
+        const reordered = await storage.update((transactions, { settings }) => {
+            const rules = settings.rules || [];
+            const byId = new Map(rules.map(rule => [rule.id, rule]));
+            if (ids.length !== rules.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+                failure = { status: 400, error: 'ids must list every rule exactly once' };
+                return false;
+            }
+            settings.rules = ids.map(id => byId.get(id));
+            return settings.rules;
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.json(reordered.map(toApiRule));
+    } catch (error) {
+        console.error('Error reordering rules:', error);
+        res.status(500).json({ error: 'Failed to reorder rules' });
+    }
+});
+
+app.put(BASE_PATH + '/api/rules/:id', authMiddleware, async (req, res) => {
+    try {
+        const fields = parseRule(req.body);
+        if (fields.error) {
+            return res.status(400).json({ error: fields.error });
+        }
+
+        let failure = null;
+        const updated = await storage.update((transactions, { settings }) => {
+            const rules = settings.rules || [];
+            const index = rules.findIndex(rule => rule.id === req.params.id);
+            if (index === -1) {
+                failure = { status: 404, error: 'Rule not found' };
+                return false;
+            }
+            assertRuleRevision(rules[index], req.body.revision);
+            failure = ruleCategoryFailure(fields, settings, transactions);
+            if (failure) return false;
+            rules[index] = { ...rules[index], ...fields, revision: (rules[index].revision || 1) + 1 };
+            settings.rules = rules;
+            return rules[index];
+        });
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+
+        res.json(toApiRule(updated));
+    } catch (error) {
+        handleRuleError(res, error, 'Failed to update rule');
+    }
+});
+
+app.delete(BASE_PATH + '/api/rules/:id', authMiddleware, async (req, res) => {
+    try {
+        const found = await storage.update((transactions, { settings }) => {
+            const rules = settings.rules || [];
+            const index = rules.findIndex(rule => rule.id === req.params.id);
+            if (index === -1) return false;
+            assertRuleRevision(rules[index], req.query.revision);
+            rules.splice(index, 1);
+            settings.rules = rules;
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        handleRuleError(res, error, 'Failed to delete rule');
+    }
+});
+
+// Re-run the rules over the transactions stored in a date range. Without commit the category
+// changes come back as a preview; with commit every change not listed in skip (transaction ids)
+// is saved. Recurring series are matched by their first date.
+app.post(BASE_PATH + '/api/rules/apply', authMiddleware, async (req, res) => {
+    try {
+        const { start, end, commit, skip } = req.body;
+        if (!start || !end) {
+            return res.status(400).json({ error: 'Start and end dates are required' });
+        }
+        if (!isDateString(start) || !isDateString(end) || end < start) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        if (!commit) {
+            const { rules = [] } = await storage.loadSettings();
+            const changes = ruleChanges(await loadTransactions(), rules, start, end);
+            return res.json({
+                changes: changes.map(({ record, type, from, to }) => ({
+                    id: record.id,
+                    type,
+                    date: record.date,
+                    title: record.title,
+                    amount: fromMinorUnits(record.amount, CURRENCY),
+                    from,
+                    to
+                }))
+            });
+        }
+
+        const skipIds = new Set(Array.isArray(skip) ? skip : []);
+        const updated = await storage.update((transactions, { settings }) => {
+            const changes = ruleChanges(transactions, settings.rules || [], start, end)
+                .filter(change => !skipIds.has(change.record.id));
+            for (const { record, to } of changes) {
+                record.category = to;
+                record.revision = (record.revision || 1) + 1;
+            }
+            return changes.length > 0 ? changes.length : false;
+        });
+
+        res.json({ updated: updated || 0 });
+    } catch (error) {
+        console.error('Error applying rules:', error);
+        res.status(500).json({ error: 'Failed to apply rules' });
+    }
+});
+
+// Backup routes
+app.get(BASE_PATH + '/api/backups', authMiddleware, async (req, res) => {
+    try {
+        const backups = await storage.listBackups();
+        res.json({ backups });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
+
+app.post(BASE_PATH + '/api/backups', authMiddleware, async (req, res) => {
+    try {
+        const name = await storage.createBackup();
+        res.status(201).json({ success: true, name });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+app.get(BASE_PATH + '/api/backups/:name', authMiddleware, async (req, res) => {
+    try {
+        const file = await storage.resolveBackup(req.params.name);
+        if (!file) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+        res.download(file, req.params.name);
+    } catch (error) {
+        console.error('Error downloading backup:', error);
+        res.status(500).json({ error: 'Failed to download backup' });
+    }
+});
+
+app.post(BASE_PATH + '/api/backups/:name/restore', authMiddleware, async (req, res) => {
+    try {
+        const restored = await storage.restoreBackup(req.params.name);
+        if (!restored) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+        res.json({ success: true, name: restored });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// Data integrity check and repair
+async function repairTransactions() {
+    let issues = [];
+    await storage.update((transactions) => {
+        const result = checkIntegrity(transactions, { isValidPattern: isValidRecurringPattern });
+        issues = result.issues;
+        if (!issues.some(issue => issue.fixable)) return false;
+
+        // Replace the contents in place with the repaired map
+        for (const key of Object.keys(transactions)) {
+            delete transactions[key];
+        }
+        Object.assign(transactions, result.repaired);
+    });
+    return issues;
+}
+
+app.get(BASE_PATH + '/api/admin/integrity', authMiddleware, async (req, res) => {
+    try {
+        const { issues } = checkIntegrity(await loadTransactions(), { isValidPattern: isValidRecurringPattern });
+        res.json({ ok: issues.length === 0, issues });
+    } catch (error) {
+        console.error('Error checking data integrity:', error);
+        res.status(500).json({ error: 'Failed to check data integrity' });
+    }
+});
+
+app.post(BASE_PATH + '/api/admin/integrity/repair', authMiddleware, async (req, res) => {
+    try {
+        const issues = await repairTransactions();
+        res.json({
+            repaired: issues.filter(issue => issue.fixable),
+            remaining: issues.filter(issue => !issue.fixable)
+        });
+    } catch (error) {
+        console.error('Error repairing data:', error);
+        res.status(500).json({ error: 'Failed to repair data' });
+    }
+});
 
 // Get current currency setting
 app.get(BASE_PATH + '/api/settings/currency', authMiddleware, (req, res) => {
-    const currency = process.env.CURRENCY || 'USD';
-    if (!SUPPORTED_CURRENCIES.includes(currency)) {
-        return res.status(200).json({ currency: 'USD' });
-    }
-    res.status(200).json({ currency });
+    res.status(200).json({ currency: CURRENCY });
 });
 
 // Get list of supported currencies
@@ -1014,46 +2911,228 @@ app.get(BASE_PATH + '/api/calendar/transactions', apiAuthMiddleware, async (req,
             return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
         }
 
-        // Load transactions
-        const allTransactions = await loadTransactions();
-        
-        // Filter transactions within date range
-        const filteredTransactions = [];
-        
-        for (const [month, data] of Object.entries(allTransactions)) {
-            const monthDate = new Date(month + '-01');
-            
-            if (monthDate >= startDate && monthDate <= endDate) {
-                // Add income transactions
-                data.income.forEach(transaction => {
-                    filteredTransactions.push({
-                        type: 'income',
-                        ...transaction,
-                        amount: parseFloat(transaction.amount)
-                    });
-                });
-                
-                // Add expense transactions
-                data.expenses.forEach(transaction => {
-                    filteredTransactions.push({
-                        type: 'expense',
-                        ...transaction,
-                        amount: parseFloat(transaction.amount)
-                    });
-                });
-            }
-        }
+        // Stored transactions plus generated recurring instances, on their business-day adjusted dates
+        const transactions = await getTransactionsInRange(
+            startDate.toISOString().split('T')[0],
+            endDate.toISOString().split('T')[0]
+        );
 
-        res.json({ transactions: filteredTransactions });
+        res.json({ transactions: transactions.map(toApiTransaction) });
     } catch (error) {
         console.error('Calendar API error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Add logging to server startup
-app.listen(PORT, () => {
-    console.log(`Server running on ${BASE_URL}`);
-    debugLog('Debug mode enabled');
-    debugLog('Base path:', BASE_PATH);
-}); 
+// Calendar apps can't send headers, so the feed takes its token in the query string
+const feedTokenMiddleware = (req, res, next) => {
+    if (!CALENDAR_FEED_TOKEN) {
+        return res.status(404).json({ error: 'Calendar feed is not enabled' });
+    }
+    if (!verifyPin(CALENDAR_FEED_TOKEN, String(req.query.token || ''))) {
+        return res.status(401).json({ error: 'Invalid calendar feed token' });
+    }
+    next();
+};
+
+// How far back and ahead the feed lists occurrences moved to a business day or changed by an exception
+const FEED_PAST_MONTHS = 12;
+const FEED_FUTURE_MONTHS = 24;
+
+// A series' pattern as an RRULE value for a feed event starting on start. Legacy patterns are
+// translated; days of the month past the 28th fall back to the month's last day as in
+// generateRecurringInstances. An occurrence count becomes UNTIL when the event starts later than the
+// series (occurrences already posted) or the series has its own end date, since RRULE can't have both.
+function seriesRRule(transaction, start) {
+    const pattern = parseRecurringPattern(transaction.recurring.pattern);
+    const interval = pattern.interval > 1 ? `;INTERVAL=${pattern.interval}` : '';
+    // Day 30 becomes "the latest of the 28th, 29th and 30th that the month has"
+    const monthDay = (day) => (day > 28
+        ? `;BYMONTHDAY=${Array.from({ length: day - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1`
+        : `;BYMONTHDAY=${day}`);
+    const until = seriesEndDate(transaction);
+    let rule;
+
+    switch (pattern.unit) {
+        case 'day':
+            rule = `FREQ=DAILY${interval}`;
+            break;
+        case 'week':
+            rule = `FREQ=WEEKLY${interval}${pattern.dayOfWeek ? `;BYDAY=${pattern.dayOfWeek.slice(0, 2).toUpperCase()}` : ''}`;
+            break;
+        case 'month':
+            rule = `FREQ=MONTHLY${interval}${monthDay(parseInt(transaction.date.split('-')[2], 10))}`;
+            break;
+        case 'year':
+            rule = `FREQ=YEARLY${interval}`;
+            break;
+        case 'monthday':
+            rule = `FREQ=MONTHLY${monthDay(pattern.dayOfMonth)}`;
+            break;
+        case 'rrule':
+            rule = openEndedPattern(transaction.recurring.pattern);
+            break;
+    }
+
+    const count = [pattern.rule?.count, transaction.recurring.count].filter(Boolean).sort((a, b) => a - b)[0];
+    if (count && start === transaction.date && !transaction.recurring.until) {
+        return `${rule};COUNT=${count}`;
+    }
+    return until ? `${rule};UNTIL=${until.replace(/-/g, '')}` : rule;
+}
+
+// Feed entries for toICalendar, optionally only income or expenses. One-off and posted transactions
+// are single events. Each series is one RRULE event starting after its posted occurrences (or at its
+// start, with the posted dates as EXDATEs, when it has occurrences from before posting began), with
+// skipped and paused dates as EXDATEs and moved or changed occurrences near today as RECURRENCE-ID
+// events. A series paused with no end stops the day before the pause. The series event carries the
+// amount in effect at the end of that window, so later occurrences show the latest scheduled amount.
+async function calendarFeedEntries(type, today = new Date().toISOString().split('T')[0]) {
+    await holidays.refresh();
+    const { transactions, recurring } = await storage.queryRange('0000-01-01', '9999-12-31');
+    const entries = transactions
+        .filter(entry => !type || entry.type === type)
+        .map(entry => ({ uid: entry.transaction.id, transaction: { ...entry.transaction, type: entry.type } }));
+
+    const windowStart = addMonths(today, -FEED_PAST_MONTHS);
+    const windowEnd = addMonths(today, FEED_FUTURE_MONTHS);
+    for (const entry of recurring) {
+        if (type && entry.type !== type) continue;
+        const series = { ...entry.transaction, type: entry.type };
+        const exceptions = series.recurring.exceptions || {};
+
+        // First occurrence that hasn't been posted, as the date it was scheduled for. Posting goes
+        // by the moved dates, so posted series are searched by those.
+        const plain = { ...series, recurring: { ...series.recurring, exceptions: {} } };
+        const { postedFrom, postedThrough } = series.recurring;
+        const hasHistory = Boolean(postedFrom) && series.date < postedFrom;
+        let start;
+        let postedDates = [];
+        if (postedThrough && !hasHistory) {
+            const [first] = upcomingOccurrences(plain, nextDay(postedThrough), 1);
+            start = first && (generateRecurringInstances(plain, first, first)[0]?.scheduledDate || first);
+        } else {
+            [start] = upcomingOccurrences({ ...plain, recurring: { ...plain.recurring, businessDay: 'none' } }, series.date, 1);
+            if (postedThrough) {
+                postedDates = generateRecurringInstances(plain, postedFrom, postedThrough)
+                    .map(instance => instance.scheduledDate || instance.date);
+            }
+        }
+        if (!start) continue;
+
+        const pauses = series.recurring.pauses || [];
+        const openPause = pauses.find(pause => !pause.until && pause.from > start);
+        const unpaused = { ...plain, recurring: { ...plain.recurring, pauses: [], businessDay: 'none' } };
+        const pausedDates = pauses.filter(pause => pause.until)
+            .flatMap(pause => generateRecurringInstances(unpaused, pause.from, pause.until).map(instance => instance.date));
+        const skippedDates = Object.keys(exceptions).filter(date => exceptions[date].skip);
+        const ruleSeries = openPause
+            ? { ...series, recurring: { ...series.recurring, until: [seriesEndDate(series), previousDay(openPause.from)].filter(Boolean).sort()[0] } }
+            : series;
+
+        const amount = scheduledAmount(series, windowEnd);
+        entries.push({
+            uid: series.id,
+            transaction: { ...series, amount, date: start },
+            rrule: seriesRRule(ruleSeries, start),
+            exdates: [...new Set([...skippedDates, ...pausedDates, ...postedDates])].filter(date => date >= start).sort()
+        });
+
+        // Moved occurrences can land before the scheduled start
+        const from = addDays(start > windowStart ? start : windowStart, -MAX_SHIFT);
+        for (const instance of generateRecurringInstances(series, from, windowEnd)) {
+            const scheduledDate = instance.scheduledDate || instance.date;
+            const changed = instance.isException || scheduledDate !== instance.date || instance.amount !== amount;
+            if (scheduledDate < start || !changed || isPostedDate(series, instance.date)) continue;
+            entries.push({ uid: series.id, recurrenceId: scheduledDate, transaction: instance });
+        }
+    }
+    return entries;
+}
+
+// Subscribable iCalendar feed, optionally only ?type=income or ?type=expense
+app.get(BASE_PATH + '/api/calendar/feed.ics', feedTokenMiddleware, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type !== undefined && type !== 'income' && type !== 'expense') {
+            return res.status(400).json({ error: 'type must be income or expense' });
+        }
+
+        const entries = await calendarFeedEntries(type);
+        const name = type ? `${SITE_INSTANCE_TITLE} (${type === 'income' ? 'income' : 'expenses'})` : SITE_INSTANCE_TITLE;
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename=dumbbudget.ics');
+        res.send(toICalendar(entries, { name, currency: CURRENCY }));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
+// Whether the calendar feed is enabled, with its token so settings can show the subscription links
+app.get(BASE_PATH + '/api/calendar/feed', authMiddleware, (req, res) => {
+    res.json({ enabled: Boolean(CALENDAR_FEED_TOKEN), token: CALENDAR_FEED_TOKEN || null });
+});
+
+// `node server.js check [--fix]` reports (and optionally repairs) data problems, then exits
+async function runCheckCommand(fix) {
+    await storage.init();
+    const issues = fix
+        ? await repairTransactions()
+        : checkIntegrity(await loadTransactions(), { isValidPattern: isValidRecurringPattern }).issues;
+
+    if (issues.length === 0) {
+        console.log('No problems found');
+        return 0;
+    }
+    for (const issue of issues) {
+        const status = fix ? (issue.fixable ? 'fixed' : 'not fixable') : (issue.fixable ? 'fixable' : 'not fixable');
+        console.log(`[${status}] ${issue.code}: ${issue.message}`);
+    }
+    const remaining = fix ? issues.filter(issue => !issue.fixable).length : issues.length;
+    console.log(`${issues.length} problem(s) found, ${remaining} remaining`);
+    if (!fix && issues.some(issue => issue.fixable)) {
+        console.log('Run `node server.js check --fix` to repair the fixable problems');
+    }
+    return remaining === 0 ? 0 : 1;
+}
+
+// Initialize storage before accepting requests
+function startServer() {
+    storage.init()
+        .then(() => holidays.refresh())
+        .then(() => {
+            console.log(`Using ${storage.driver} storage (${storage.file})`);
+            debugLog('Holidays loaded:', holidays.count);
+            // Add logging to server startup
+            app.listen(PORT, () => {
+                console.log(`Server running on ${BASE_URL}`);
+                debugLog('Debug mode enabled');
+                debugLog('Base path:', BASE_PATH);
+            });
+
+            if (AUTO_POST_RECURRING) {
+                // Post on startup, then hourly so occurrences appear soon after midnight
+                const post = () => postDueOccurrences()
+                    .then(count => debugLog('Posted due recurring transactions:', count || 0))
+                    .catch(error => console.error('Failed to post recurring transactions:', error));
+                post();
+                setInterval(post, 60 * 60 * 1000);
+            }
+        })
+        .catch(error => {
+            console.error('Failed to initialize storage:', error);
+            process.exit(1);
+        });
+}
+
+if (CLI_COMMAND === 'check') {
+    runCheckCommand(process.argv.includes('--fix'))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('Check failed:', error.message);
+            process.exit(1);
+        });
+} else {
+    startServer();
+}